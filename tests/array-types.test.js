@@ -0,0 +1,170 @@
+import { ValidatedMethod, arrayOf } from "../validated-method.js";
+
+// Test: Typed array parameters
+try {
+    const typedArrays = new ValidatedMethod({
+        roles: 'array<string>',
+        scores: arrayOf('int'),
+        matrix: 'array<array<number>>',
+        tags: ['array', 'optional']
+    }, opts => opts);
+
+    const result = typedArrays({
+        roles: ['admin', 'wizard'],
+        scores: ['1', 2.7, 3],
+        matrix: [[1, '2'], [3.5]]
+    });
+
+    console.assert(
+        result.scores.join() === '1,2,3' &&
+        result.matrix[0][1] === 2,
+        'Typed array elements should be coerced'
+    );
+
+    // Test failing index in error message
+    try {
+        typedArrays({
+            roles: ['admin', 'wizard', 'user', 42],
+            scores: [],
+            matrix: []
+        });
+        throw new Error('Should have failed element validation');
+    } catch (e) {
+        if (!e.message.includes('Expected string, got number for roles[3]')) {
+            throw new Error(`Wrong error for element validation: ${e.message}`);
+        }
+    }
+
+    try {
+        typedArrays({ roles: [], scores: [], matrix: [[1], ['x']] });
+        throw new Error('Should have failed nested element validation');
+    } catch (e) {
+        if (!e.message.includes('for matrix[1][0]')) {
+            throw new Error(`Wrong error for nested element validation: ${e.message}`);
+        }
+    }
+
+    try {
+        typedArrays({ roles: 'admin', scores: [], matrix: [] });
+        throw new Error('Should have rejected non-array value');
+    } catch (e) {
+        if (!e.message.includes('Expected Array, got string for roles')) {
+            throw new Error(`Wrong error for non-array value: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Typed array parameters test passed');
+} catch (e) {
+    console.error('✗ Typed array parameters test failed:', e.message);
+}
+
+// Test: Typed array element schemas
+try {
+    class Tag {}
+    const objects = new ValidatedMethod({
+        users: arrayOf({ name: 'string', age: 'int' }),
+        tags: arrayOf(Tag)
+    }, opts => opts);
+
+    const result = objects({
+        users: [{ name: 'Test', age: '42' }],
+        tags: [new Tag()]
+    });
+    console.assert(result.users[0].age === 42, 'Object elements should be coerced');
+
+    try {
+        objects({ users: [{ name: 'Test', age: 42 }, { age: 1 }], tags: [] });
+        throw new Error('Should have failed object element validation');
+    } catch (e) {
+        if (!e.message.includes('Missing required parameter: users[1].name')) {
+            throw new Error(`Wrong error for object element validation: ${e.message}`);
+        }
+    }
+
+    try {
+        objects({ users: [], tags: [new Tag(), {}] });
+        throw new Error('Should have failed class element validation');
+    } catch (e) {
+        if (!e.message.includes('Expected instance of Tag')) {
+            throw new Error(`Wrong error for class element validation: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Typed array element schema test passed');
+} catch (e) {
+    console.error('✗ Typed array element schema test failed:', e.message);
+}
+
+// Test: Typed array positional arguments
+try {
+    const sum = new ValidatedMethod(
+        ['array<number>', 'string'],
+        (nums, label) => `${label}: ${nums.reduce((a, b) => a + b, 0)}`
+    );
+
+    console.assert(
+        sum([1, '2', 3.5], 'Total') === 'Total: 6.5',
+        'Positional typed array should be coerced'
+    );
+
+    try {
+        sum([1, 'two'], 'Total');
+        throw new Error('Should have failed positional element validation');
+    } catch (e) {
+        if (!e.message.includes('for Argument 0[1]')) {
+            throw new Error(`Wrong error for positional element validation: ${e.message}`);
+        }
+    }
+
+    const single = new ValidatedMethod(arrayOf('int'), nums => nums);
+    console.assert(
+        single(['4', 5]).join() === '4,5',
+        'Single typed array parameter failed'
+    );
+
+    console.log('✓ Typed array positional arguments test passed');
+} catch (e) {
+    console.error('✗ Typed array positional arguments test failed:', e.message);
+}
+
+// Test: Typed array return types
+try {
+    const getIds = new ValidatedMethod(
+        'array',
+        list => list,
+        'array<int>'
+    );
+
+    console.assert(
+        getIds([1, 2, 3]).length === 3,
+        'Typed array return validation failed'
+    );
+
+    try {
+        getIds([1, 2, 'three']);
+        throw new Error('Should have failed typed array return validation');
+    } catch (e) {
+        if (!e.message.includes('Return value[2] three does not match type int')) {
+            throw new Error(`Wrong error for typed array return: ${e.message}`);
+        }
+    }
+
+    const getNames = new ValidatedMethod(
+        'void',
+        () => 'not an array',
+        arrayOf('string')
+    );
+
+    try {
+        getNames();
+        throw new Error('Should have rejected non-array return');
+    } catch (e) {
+        if (!e.message.includes('does not match type array<string>')) {
+            throw new Error(`Wrong error for non-array return: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Typed array return type test passed');
+} catch (e) {
+    console.error('✗ Typed array return type test failed:', e.message);
+}
@@ -76,3 +76,116 @@ try {
     console.error('✗ Optional and Any types test failed:', e.message);
 }
 
+
+// Test 4: Value Types
+try {
+    const valueTypes = new ValidatedMethod({
+        date: 'date',
+        timestamp: 'date',
+        big: 'bigint',
+        id: 'symbol',
+        lookup: 'map',
+        tags: 'set',
+        data: 'bytes'
+    }, opts => opts);
+
+    const id = Symbol('id');
+    const result = valueTypes({
+        date: '2024-02-29T12:00:00Z',
+        timestamp: 0,
+        big: '9007199254740993',
+        id,
+        lookup: { a: 1 },
+        tags: ['a', 'b', 'a'],
+        data: new Uint16Array([1]).buffer
+    });
+
+    console.assert(
+        result.date instanceof Date && result.date.toISOString() === '2024-02-29T12:00:00.000Z' &&
+        result.timestamp.getTime() === 0 &&
+        result.big === 9007199254740993n &&
+        result.id === id &&
+        result.lookup instanceof Map && result.lookup.get('a') === 1 &&
+        result.tags instanceof Set && result.tags.size === 2 &&
+        result.data instanceof Uint8Array && result.data.length === 2,
+        'Value type coercion failed'
+    );
+
+    // Values that can't be coerced are rejected
+    const valid = { date: new Date(), timestamp: 1, big: 1n, id, lookup: new Map(), tags: new Set(), data: new Uint8Array() };
+    const invalid = {
+        date: ['yesterday', new Date('invalid'), '2024-02-30', NaN],
+        big: [1.5, '1e3', ''],
+        id: ['id'],
+        lookup: [[['a', 1]]],
+        tags: ['abc'],
+        data: [[1, 2, 3]]
+    };
+    for (const [key, values] of Object.entries(invalid)) {
+        for (const value of values) {
+            try {
+                valueTypes({ ...valid, [key]: value });
+                throw new Error(`${key} accepted ${String(value)}`);
+            } catch (e) {
+                if (!e.path) throw e;
+            }
+        }
+    }
+
+    // Return types are checked without coercion
+    const returnsDate = new ValidatedMethod('any', value => value, 'date');
+    console.assert(returnsDate(new Date(0)).getTime() === 0, 'Date return failed');
+    try {
+        returnsDate('2024-01-01');
+        throw new Error('Date return accepted a string');
+    } catch (e) {
+        if (e.phase !== 'return') throw e;
+    }
+    console.log('✓ Value types test passed');
+} catch (e) {
+    console.error('✗ Value types test failed:', e.message);
+}
+
+// Test 5: Null and Object Types
+try {
+    const strict = new ValidatedMethod({ empty: 'null', settings: 'object' }, opts => opts);
+    const result = strict({ empty: null, settings: { theme: 'dark' } });
+    console.assert(result.empty === null && result.settings.theme === 'dark', 'Null/object validation failed');
+
+    const rejected = [
+        [{ empty: undefined, settings: {} }, 'Missing required parameter: empty'],
+        [{ empty: 0, settings: {} }, 'Expected null, got number for empty'],
+        [{ empty: null, settings: null }, 'Expected object, got null for settings'],
+        [{ empty: null, settings: [] }, 'Expected object, got array for settings'],
+        [{ empty: null, settings: new Date() }, 'Expected object, got Date for settings']
+    ];
+    for (const [params, message] of rejected) {
+        try {
+            strict(params);
+            throw new Error(`Expected failure: ${message}`);
+        } catch (e) {
+            if (e.message !== message) throw new Error(`Unexpected error: ${e.message}`);
+        }
+    }
+
+    // Positional and return types use the same rules
+    const positional = new ValidatedMethod(['object', 'null'], (a, b) => a, 'object');
+    console.assert(positional({ a: 1 }, null).a === 1, 'Positional null/object failed');
+    for (const call of [() => positional([], null), () => positional({}, undefined)]) {
+        try {
+            call();
+            throw new Error('Positional null/object accepted invalid value');
+        } catch (e) {
+            if (e.rule !== 'type') throw e;
+        }
+    }
+    try {
+        new ValidatedMethod('any', value => value, 'object')(new Map());
+        throw new Error('Object return accepted a class instance');
+    } catch (e) {
+        if (e.phase !== 'return') throw e;
+    }
+    console.log('✓ Null and object types test passed');
+} catch (e) {
+    console.error('✗ Null and object types test failed:', e.message);
+}
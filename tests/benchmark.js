@@ -0,0 +1,54 @@
+import { ValidatedMethod } from "../validated-method.js";
+
+// Measures per-call overhead of validation against calling the callback directly.
+// Run with: node tests/benchmark.js [iterations]
+
+const iterations = Number(process.argv[2]) || 200000;
+
+const cases = {
+    'positional': {
+        args: ['string', 'int', ['boolean', 'optional']],
+        callback: (name, age, active) => age,
+        params: () => ['Ann', 42, true]
+    },
+    'named': {
+        args: { name: 'string', age: 'int', active: ['boolean', 'optional'], tags: 'array<string>' },
+        callback: opts => opts.age,
+        params: () => [{ name: 'Ann', age: 42, active: true, tags: ['a', 'b'] }]
+    },
+    'nested': {
+        args: {
+            id: 'int',
+            user: { name: 'string', email: /^[^@]+@[^@]+$/, address: { city: 'string', zip: ['string', 'optional'] } },
+            limit: { type: 'int', default: 10, min: 1, max: 100 }
+        },
+        callback: opts => opts.id,
+        params: () => [{ id: 1, user: { name: 'Ann', email: 'a@b', address: { city: 'Oslo' } } }]
+    }
+};
+
+const time = (fn, params) => {
+    // Warm up before measuring
+    for (let i = 0; i < 10000; i++) fn(...params());
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < iterations; i++) fn(...params());
+    return Number(process.hrtime.bigint() - start) / iterations;
+};
+
+console.log(`ValidatedMethod benchmark, ${iterations} calls per case (ns per call)\n`);
+
+const variants = {
+    'direct': ({ callback }) => callback,
+    'interpreted': ({ args, callback }) => new ValidatedMethod(args, callback, undefined, { compile: false }),
+    'compiled (safe)': ({ args, callback }) => new ValidatedMethod(args, callback, undefined, { compile: 'safe' }),
+    'compiled': ({ args, callback }) => new ValidatedMethod(args, callback)
+};
+
+const rows = Object.entries(cases).map(([name, definition]) => {
+    const row = { case: name };
+    for (const [variant, make] of Object.entries(variants)) {
+        row[variant] = Math.round(time(make(definition), definition.params));
+    }
+    return row;
+});
+console.table(rows);
@@ -0,0 +1,110 @@
+import { ValidatedMethod, validated } from "../validated-method.js";
+
+class Account {
+    balance = 0;
+
+    deposit(amount) {
+        this.balance += amount;
+        return this.balance;
+    }
+
+    rename({ name }) {
+        this.name = name;
+        return this;
+    }
+}
+
+// Test: Wrapping prototype methods
+try {
+    const deposit = ValidatedMethod.wrapPrototype(Account, 'deposit', 'int', 'int', { this: Account });
+    ValidatedMethod.wrapPrototype(Account, 'rename', { name: 'string' });
+
+    const account = new Account();
+    account.deposit('10');
+    account.rename({ name: 'Savings' });
+
+    console.assert(
+        Account.prototype.deposit === deposit &&
+        account.balance === 10 &&
+        account.name === 'Savings' &&
+        !Object.keys(Account.prototype).includes('deposit'),
+        'Prototype methods should keep this'
+    );
+
+    // Calls on the wrong receiver are rejected
+    try {
+        deposit.call({ balance: 0 }, 5);
+        throw new Error('Wrong receiver accepted');
+    } catch (e) {
+        if (e.path !== 'this' || e.rule !== 'instance') throw e;
+    }
+
+    try {
+        ValidatedMethod.wrapPrototype(Account, 'missing', 'int');
+        throw new Error('Missing method wrapped');
+    } catch (e) {
+        if (e.message !== 'Account.prototype.missing is not a method') throw e;
+    }
+    console.log('✓ Wrap prototype test passed');
+} catch (e) {
+    console.error('✗ Wrap prototype test failed:', e.message);
+}
+
+// Test: Standard decorators, applied by hand as the decorator syntax would
+try {
+    class Counter {
+        count = 0;
+
+        increment(step) {
+            this.count += step;
+            return this.count;
+        }
+
+        reset() {
+            this.count = 0;
+        }
+
+        async load(value) {
+            this.count = value;
+            return this;
+        }
+    }
+
+    const decorate = (name, decorator) => {
+        Counter.prototype[name] = decorator(Counter.prototype[name], { kind: 'method', name });
+    };
+    decorate('increment', validated(['int'], 'int', { this: Counter }));
+    decorate('reset', validated());
+    decorate('load', validated('strictint', Counter));
+
+    const counter = new Counter();
+    counter.increment(2);
+    counter.increment('3');
+    console.assert(counter.count === 5, 'Decorated method should keep this');
+
+    counter.reset();
+    console.assert(counter.count === 0, 'Zero parameter method should keep this');
+
+    try {
+        counter.increment.call(null, 1);
+        throw new Error('Null receiver accepted');
+    } catch (e) {
+        if (e.path !== 'this') throw e;
+    }
+
+    try {
+        validated('int')(() => {}, { kind: 'field', name: 'value' });
+        throw new Error('Field decorated');
+    } catch (e) {
+        if (e.message !== '@validated can only decorate methods') throw e;
+    }
+
+    counter.load(7).then(result => {
+        console.assert(result === counter && counter.count === 7, 'Async method should keep this');
+        console.log('✓ Decorator test passed');
+    }).catch(e => {
+        console.error('✗ Decorator test failed:', e.message);
+    });
+} catch (e) {
+    console.error('✗ Decorator test failed:', e.message);
+}
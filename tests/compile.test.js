@@ -0,0 +1,123 @@
+import { ValidatedMethod, arrayOf, oneOf } from "../validated-method.js";
+
+class Point {
+    constructor(x) {
+        this.x = x;
+    }
+}
+
+const modes = [true, 'safe', false];
+
+// Runs a call and reports its result or error message
+const outcome = (method, ...params) => {
+    try {
+        return JSON.stringify(method(...params));
+    } catch (e) {
+        return `${e.rule}: ${e.message}`;
+    }
+};
+
+// Test: Compiled schemas behave like the interpreter
+try {
+    const named = {
+        name: 'string',
+        age: 'int',
+        score: ['number', 'optional'],
+        email: /^[^@]+@[^@]+$/,
+        point: [Point, 'null'],
+        role: oneOf('admin', 'user'),
+        tags: 'array<string>',
+        items: arrayOf({ id: 'strictint', label: ['string', 'nullable'] }),
+        limit: { type: 'int', default: 10, min: 1, max: 100 },
+        address: { city: 'string', zip: ['string', 'optional'] },
+        'odd key"': ['boolean', 'optional']
+    };
+    // Coercion copies, so every mode can share the same params
+    const calls = [
+        [{ name: 'Ann', age: 42, email: 'a@b', point: null, role: 'user', tags: [], items: [], address: { city: 'Oslo' } }],
+        [{ name: 'Ann', age: '42.7', score: '1.5', email: 'a@b', point: new Point(1), role: 'admin',
+            tags: ['x'], items: [{ id: 1, label: null }], limit: '20', address: { city: 'Oslo', zip: '0150' }, 'odd key"': true }],
+        [{ name: 1, age: 'x', email: 'nope', point: {}, role: 'guest', tags: [1], items: [{ id: 1.5 }], limit: 500, address: null }],
+        [{ name: 'Ann', age: 1, email: 'a@b', point: null, role: 'user', tags: [], items: [], address: { city: 'Oslo' }, extra: 1 }],
+        [undefined],
+        ['not an object']
+    ];
+
+    const positional = [['string', 'int', ['boolean', 'optional'], Point, { type: 'number', default: 1 }]];
+    const positionalCalls = () => [['a', 1, true, new Point(1)], ['a', '2.5', undefined, new Point(1), 3], [1, 'x', 'y', {}], ['a']];
+
+    for (const collectErrors of [false, true]) {
+        const expected = modes.map(compile => [
+            ...calls.map(params => outcome(new ValidatedMethod(named, opts => opts, undefined,
+                { compile, collectErrors, unexpected: 'throw' }), ...params)),
+            ...positionalCalls().map(params => outcome(new ValidatedMethod(positional[0], (...args) => args, undefined,
+                { compile, collectErrors }), ...params))
+        ]);
+        console.assert(expected[0][1].includes('"age":42') && expected[0][2].startsWith(collectErrors ? 'multiple' : 'type'),
+            'Calls should exercise both passing and failing params');
+        for (const results of expected.slice(1)) {
+            for (let i = 0; i < results.length; i++) {
+                if (results[i] !== expected[0][i]) {
+                    throw new Error(`Mismatch in call ${i}: ${results[i]} vs ${expected[0][i]}`);
+                }
+            }
+        }
+    }
+    console.log('✓ Compiled schema test passed');
+} catch (e) {
+    console.error('✗ Compiled schema test failed:', e.message);
+}
+
+// Test: Custom coercion policies see real values in every mode
+try {
+    const coercion = { boolean: value => value === true ? true : undefined, int: n => n > 0 ? n : undefined };
+    for (const compile of modes) {
+        const named = new ValidatedMethod({ a: 'boolean' }, opts => opts.a, undefined, { compile, coercion });
+        const positional = new ValidatedMethod(['int'], n => n, undefined, { compile, coercion });
+        console.assert(named({ a: true }) === true && positional(2) === 2,
+            `Custom policy should pass accepted values with compile ${compile}`);
+        console.assert(outcome(named, { a: false }) === 'coerce: Cannot convert boolean to boolean for a',
+            `Custom policy should reject named false with compile ${compile}`);
+        console.assert(outcome(positional, -1) === 'type: Expected integer, got -1 for Argument 0',
+            `Custom policy should reject positional -1 with compile ${compile}`);
+    }
+
+    // A global policy set after the method was created still applies
+    const later = new ValidatedMethod({ n: 'int' }, opts => opts.n);
+    ValidatedMethod.coercion = { int: n => n > 0 ? n : undefined };
+    try {
+        console.assert(outcome(later, { n: -1 }) === 'type: Expected integer, got -1 for n', 'Global custom policy should skip fast paths');
+    } finally {
+        ValidatedMethod.coercion = 'lenient';
+    }
+    console.assert(later({ n: -1 }) === -1, 'Built-in policies should use fast paths again');
+    console.log('✓ Custom coercion compile test passed');
+} catch (e) {
+    console.error('✗ Custom coercion compile test failed:', e.message);
+}
+
+// Test: Compile settings
+try {
+    console.assert(ValidatedMethod.compile === true, 'Schemas should compile by default');
+    ValidatedMethod.compile = 'safe';
+    const safe = new ValidatedMethod({ n: 'int' }, opts => opts.n);
+    ValidatedMethod.compile = true;
+    console.assert(safe({ n: '3' }) === 3, 'Safe compilation should validate');
+
+    for (const define of [
+        () => { ValidatedMethod.compile = 'fast'; },
+        () => new ValidatedMethod('int', n => n, undefined, { compile: 1 })
+    ]) {
+        try {
+            define();
+            throw new Error('Invalid compile setting accepted');
+        } catch (e) {
+            if (!(e instanceof TypeError) || e.message === 'Invalid compile setting accepted') throw e;
+        }
+    }
+    console.log('✓ Compile settings test passed');
+} catch (e) {
+    console.error('✗ Compile settings test failed:', e.message);
+} finally {
+    ValidatedMethod.compile = true;
+}
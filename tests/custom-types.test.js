@@ -79,3 +79,68 @@ try {
     console.error('✗ Error cases test failed:', e.message);
 }
 
+
+// Test 7: Registered Types
+try {
+    ValidatedMethod.defineType('slug', {
+        check: value => typeof value === 'string' && /^[a-z0-9-]+$/.test(value),
+        coerce: value => String(value).trim().toLowerCase().replace(/\s+/g, '-'),
+        describe: 'URL slug'
+    });
+    ValidatedMethod.defineType('even', {
+        check: value => Number.isInteger(value) && value % 2 === 0,
+        describe: value => `Expected an even integer, got ${value}`
+    });
+
+    const named = new ValidatedMethod({ slug: 'slug', count: ['even', 'optional'] }, opts => opts);
+    const result = named({ slug: ' Hello World ' });
+    console.assert(result.slug === 'hello-world', 'Registered type coercion failed');
+
+    // Registered types work positionally, in unions, arrays and return types
+    const positional = new ValidatedMethod(['slug', 'array<even>'], (slug, counts) => [slug, counts]);
+    const [slug, counts] = positional('Post Title', [2, 4]);
+    console.assert(slug === 'post-title' && counts.length === 2, 'Positional registered type failed');
+
+    const union = new ValidatedMethod({ id: ['even', 'slug'] }, opts => opts.id);
+    console.assert(union({ id: 4 }) === 4 && union({ id: 'my-post' }) === 'my-post', 'Registered union failed');
+
+    const returns = new ValidatedMethod('int', n => n * 2, 'even');
+    console.assert(returns(3) === 6, 'Registered return type failed');
+
+    const checks = [
+        [() => named({ slug: '!!!' }), 'Expected URL slug, got "!!!" for slug', 'coerce'],
+        [() => named({ slug: 'ok', count: 3 }), 'Expected an even integer, got 3 for count', 'type'],
+        [() => positional('ok', [2, 5]), 'Expected an even integer, got 5 for Argument 1[1]', 'type'],
+        [() => new ValidatedMethod('int', n => n, 'even')(3), 'Return value 3 does not match type even', 'type']
+    ];
+    for (const [call, message, rule] of checks) {
+        try {
+            call();
+            throw new Error(`Expected failure: ${message}`);
+        } catch (e) {
+            if (e.message !== message || e.rule !== rule) {
+                throw new Error(`Unexpected error: ${e.message} (${e.rule})`);
+            }
+        }
+    }
+
+    // Built-in names and invalid definitions are rejected
+    const invalid = [
+        () => ValidatedMethod.defineType('int', { check: () => true }),
+        () => ValidatedMethod.defineType('array<slug>', { check: () => true }),
+        () => ValidatedMethod.defineType('slug2', {}),
+        () => ValidatedMethod.defineType('', { check: () => true })
+    ];
+    for (const define of invalid) {
+        try {
+            define();
+            throw new Error('Invalid definition accepted');
+        } catch (e) {
+            if (!(e instanceof TypeError) || e.message === 'Invalid definition accepted') throw e;
+        }
+    }
+
+    console.log('✓ Registered types test passed');
+} catch (e) {
+    console.error('✗ Registered types test failed:', e.message);
+}
@@ -0,0 +1,142 @@
+import { ValidatedMethod, toJSONSchema, fromJSONSchema } from "../validated-method.js";
+
+const accepts = (type, value) => {
+    try {
+        new ValidatedMethod({ input: type }, opts => opts)({ input: value });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Test: Valid and invalid values for every format
+try {
+    const cases = {
+        uuid: [
+            ['123e4567-e89b-12d3-a456-426614174000', '00000000-0000-0000-0000-000000000000',
+                'A987FBC9-4BED-3078-CF07-9141BA07C9F3'],
+            ['123e4567-e89b-12d3-a456-42661417400', '123e4567e89b12d3a456426614174000', 'g23e4567-e89b-12d3-a456-426614174000']
+        ],
+        email: [
+            ['user@example.com', 'first.last+tag@sub.example.co.uk', "o'brien@example.org"],
+            ['user@', '@example.com', 'user@example', 'user name@example.com', 'user@-example.com']
+        ],
+        url: [
+            ['https://example.com', 'http://localhost:8080/path?q=1#top', 'ftp://files.example.com/a.txt'],
+            ['example.com', '/relative/path', 'http//missing-colon.com', '', 'a:b', 'javascript:alert(1)',
+                'mailto:user@example.com', 'file:///etc/passwd', 'http:example.com']
+        ],
+        isodate: [
+            ['2024-02-29', '1999-12-31', '0001-01-01'],
+            ['2023-02-29', '2024-13-01', '2024-1-01', '2024-01-01T00:00:00Z', '20240101']
+        ],
+        datetime: [
+            ['2024-02-29T12:30:00Z', '2024-01-01T00:00:00.123+05:30', '2024-01-01 23:59:60-08:00'],
+            ['2024-01-01T12:30:00', '2024-01-01T24:00:00Z', '2023-02-29T00:00:00Z', '2024-01-01T12:60:00Z']
+        ],
+        ipv4: [
+            ['192.168.0.1', '0.0.0.0', '255.255.255.255'],
+            ['256.0.0.1', '192.168.01.1', '1.2.3', '1.2.3.4.5']
+        ],
+        ipv6: [
+            ['::1', '::', '2001:db8::8a2e:370:7334', '2001:0db8:0000:0000:0000:ff00:0042:8329', '::ffff:192.0.2.128'],
+            ['2001:db8::8a2e::7334', '1:2:3:4:5:6:7:8:9', '12345::1', ':1::', '1.2.3.4::', '1:2:3:4:5:6:7::8']
+        ],
+        hex: [
+            ['deadBEEF', '0', '0123456789abcdef'],
+            ['', '0x1f', 'xyz']
+        ],
+        base64: [
+            ['TWFu', 'TWE=', 'TQ==', 'aGVsbG8gd29ybGQ='],
+            ['', 'TWF', 'TQ=', 'TW=u', 'T@Fu']
+        ]
+    };
+
+    for (const [type, [valid, invalid]] of Object.entries(cases)) {
+        for (const value of valid) {
+            if (!accepts(type, value)) throw new Error(`${type} should accept ${JSON.stringify(value)}`);
+        }
+        for (const value of invalid) {
+            if (accepts(type, value)) throw new Error(`${type} should reject ${JSON.stringify(value)}`);
+        }
+        // Formats never coerce non-strings
+        if (accepts(type, 12345)) throw new Error(`${type} should reject numbers`);
+    }
+    console.log('✓ Format values test passed');
+} catch (e) {
+    console.error('✗ Format values test failed:', e.message);
+}
+
+// Test: Formats work in every position with descriptive errors
+try {
+    const save = new ValidatedMethod({
+        id: 'uuid',
+        emails: 'array<email>',
+        host: ['ipv4', 'ipv6']
+    }, opts => opts);
+
+    const result = save({
+        id: '123e4567-e89b-12d3-a456-426614174000',
+        emails: ['a@example.com'],
+        host: '::1'
+    });
+    console.assert(result.host === '::1', 'Format union failed');
+
+    const positional = new ValidatedMethod(['isodate', 'hex'], (date, hash) => `${date}:${hash}`, 'string');
+    console.assert(positional('2024-01-01', 'ff') === '2024-01-01:ff', 'Positional formats failed');
+
+    const returns = new ValidatedMethod('string', value => value, 'datetime');
+    console.assert(returns('2024-01-01T00:00:00Z') === '2024-01-01T00:00:00Z', 'Format return type failed');
+
+    const checks = [
+        [() => save({ id: 'abc', emails: [], host: '::1' }), 'Expected UUID, got "abc" for id'],
+        [() => save({ id: '123e4567-e89b-12d3-a456-426614174000', emails: ['nope'], host: '::1' }),
+            'Expected email address, got "nope" for emails[0]'],
+        [() => positional('2024-02-30', 'ff'), 'Expected ISO date, got "2024-02-30" for Argument 0'],
+        [() => returns('yesterday'), 'Return value yesterday does not match type datetime']
+    ];
+    for (const [call, message] of checks) {
+        try {
+            call();
+            throw new Error(`Expected failure: ${message}`);
+        } catch (e) {
+            if (e.message !== message) throw new Error(`Unexpected error: ${e.message}`);
+        }
+    }
+
+    // Formats are reserved names
+    try {
+        ValidatedMethod.defineType('email', { check: () => true });
+        throw new Error('Format redefined');
+    } catch (e) {
+        if (!(e instanceof TypeError)) throw e;
+    }
+    console.log('✓ Format usage test passed');
+} catch (e) {
+    console.error('✗ Format usage test failed:', e.message);
+}
+
+// Test: Formats round trip through JSON Schema
+try {
+    const method = new ValidatedMethod({ id: 'uuid', site: 'url', born: 'isodate', key: 'base64' }, opts => opts);
+    const schema = toJSONSchema(method.schema.params);
+
+    console.assert(
+        schema.properties.id.format === 'uuid' &&
+        schema.properties.site.format === 'uri' &&
+        schema.properties.born.format === 'date' &&
+        schema.properties.key.contentEncoding === 'base64',
+        'Formats should export as JSON Schema formats'
+    );
+
+    const imported = fromJSONSchema(schema);
+    console.assert(
+        imported.id === 'uuid' && imported.site === 'url' &&
+        imported.born === 'isodate' && imported.key === 'base64',
+        'Formats should import from JSON Schema formats'
+    );
+    console.assert(fromJSONSchema({ type: 'string' }) === 'string', 'Plain strings should stay strings');
+    console.log('✓ Format JSON Schema test passed');
+} catch (e) {
+    console.error('✗ Format JSON Schema test failed:', e.message);
+}
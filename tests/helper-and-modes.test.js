@@ -36,3 +36,261 @@ try {
     console.error('✗ Helper function (_$) test failed:', e.message);
 }
 
+
+// Test: Unexpected parameter policies
+try {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+
+    try {
+        const schema = { name: 'string', address: { zip: 'string' } };
+        const params = () => ({ name: 'test', extra: 1, address: { zip: '1', unit: 2 } });
+
+        _$(schema, opts => opts)(params());
+        console.assert(
+            warnings.join() === 'Unexpected parameter: extra,Unexpected parameter: address.unit',
+            'Default policy should warn'
+        );
+
+        warnings.length = 0;
+        const ignored = _$(schema, opts => opts, undefined, { unexpected: 'ignore' })(params());
+        console.assert(
+            warnings.length === 0 && ignored.extra === 1,
+            'Ignore policy should keep unknown keys silently'
+        );
+
+        const stripped = _$(schema, opts => opts, undefined, { unexpected: 'strip' })(params());
+        console.assert(
+            warnings.length === 0 &&
+            !('extra' in stripped) &&
+            !('unit' in stripped.address),
+            'Strip policy should remove unknown keys'
+        );
+
+        try {
+            _$(schema, opts => opts, undefined, { unexpected: 'throw' })(params());
+            throw new Error('Should have thrown for unexpected parameter');
+        } catch (e) {
+            if (e.rule !== 'unexpected' || e.path !== 'extra') {
+                throw new Error(`Wrong error for unexpected parameter: ${e.message}`);
+            }
+        }
+
+        try {
+            _$(schema, opts => opts, undefined, { unexpected: 'panic' });
+            throw new Error('Should have rejected unknown policy');
+        } catch (e) {
+            if (!e.message.includes('policy must be')) throw e;
+        }
+    } finally {
+        console.warn = warn;
+    }
+
+    console.log('✓ Unexpected parameter policy test passed');
+} catch (e) {
+    console.error('✗ Unexpected parameter policy test failed:', e.message);
+}
+
+// Test: Surplus positional argument policies
+try {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+
+    try {
+        const collect = (...args) => args;
+
+        console.assert(
+            _$(['string'], collect)('a', 'b').length === 2 && warnings.length === 0,
+            'Surplus arguments should be accepted silently by default'
+        );
+
+        _$(['string'], collect, undefined, { unexpected: 'warn' })('a', 'b');
+        console.assert(
+            warnings.join() === 'Unexpected argument: Argument 1',
+            'Warn policy should report surplus arguments'
+        );
+
+        console.assert(
+            _$(['string'], collect, undefined, { unexpected: 'strip' })('a', 'b', 'c').length === 1,
+            'Strip policy should drop surplus arguments'
+        );
+
+        try {
+            _$(['string'], collect, undefined, { unexpected: 'throw' })('a', 'b');
+            throw new Error('Should have thrown for surplus argument');
+        } catch (e) {
+            if (e.rule !== 'unexpected' || e.path !== 'Argument 1') {
+                throw new Error(`Wrong error for surplus argument: ${e.message}`);
+            }
+        }
+    } finally {
+        console.warn = warn;
+    }
+
+    console.log('✓ Surplus argument policy test passed');
+} catch (e) {
+    console.error('✗ Surplus argument policy test failed:', e.message);
+}
+
+// Test: Validation hooks
+try {
+    class InputError extends Error {}
+    const events = [];
+
+    ValidatedMethod.hooks = {
+        onValidationError: (error, { name }) => {
+            events.push(`global error ${name} ${error.constructor.name}`);
+        },
+        afterCall: result => events.push(`global after ${result}`)
+    };
+
+    const double = _$({ n: 'int' }, function double({ n }) { return n * 2; }, 'int', {
+        hooks: {
+            onValidationError: error => new InputError(error.message),
+            onUnexpectedParameter: (key, value, { policy }) => events.push(`unexpected ${key}=${value} ${policy}`),
+            beforeCall: params => events.push(`before ${params.n}`),
+            afterCall: result => events.push(`after ${result}`)
+        }
+    });
+
+    // Unexpected parameters go to the hook instead of console.warn
+    const warn = console.warn;
+    let warned = false;
+    console.warn = () => { warned = true; };
+    const result = double({ n: '2', extra: true });
+    console.warn = warn;
+
+    // Per-method hooks may replace the error before global hooks see it
+    let converted;
+    try {
+        double({ n: 'x' });
+    } catch (e) {
+        converted = e;
+    }
+
+    const broken = _$('int', n => 'x', 'int', {
+        hooks: { onReturnMismatch: error => { events.push(`return ${error.path}`); } }
+    });
+    try {
+        broken(1);
+    } catch (e) {
+        events.push(`returned ${e.name}`);
+    }
+
+    const expected = [
+        'unexpected extra=true warn', 'before 2', 'after 4', 'global after 4',
+        'global error double InputError', 'return return', 'returned ValidationError'
+    ];
+    console.assert(
+        result === 4 && !warned &&
+        converted instanceof InputError && converted.message === 'double: Cannot convert x to number for n' &&
+        JSON.stringify(events) === JSON.stringify(expected),
+        `Hooks should run in order, got ${JSON.stringify(events)}`
+    );
+
+    // Async calls report after the Promise settles
+    const asyncEvents = [];
+    const load = _$('int', async n => n + 1, 'int', { hooks: { afterCall: value => asyncEvents.push(value) } });
+    load(1).then(() => {
+        console.assert(asyncEvents[0] === 2, 'Async afterCall should receive the resolved value');
+    });
+
+    // Global hooks can only change through the checked setter
+    const registered = { afterCall: () => {} };
+    ValidatedMethod.hooks = registered;
+    registered.onValidationError = 5;
+    try {
+        ValidatedMethod.hooks.onValidationError = 5;
+    } catch (e) {
+        if (!(e instanceof TypeError)) throw e;
+    }
+    console.assert(Object.isFrozen(ValidatedMethod.hooks) && ValidatedMethod.hooks.onValidationError === undefined &&
+        ValidatedMethod.hooks.afterCall === registered.afterCall, 'Global hooks should be a frozen copy');
+    console.assert(_$({ n: 'int' }, ({ n }) => n)({ n: '3' }) === 3, 'Calls should run with the copied hooks');
+
+    for (const hooks of [{ onError: () => {} }, { beforeCall: 'log' }, null]) {
+        try {
+            _$('int', n => n, undefined, { hooks });
+            throw new Error('Invalid hooks accepted');
+        } catch (e) {
+            if (!(e instanceof TypeError) || e.message === 'Invalid hooks accepted') throw e;
+        }
+    }
+    console.log('✓ Validation hooks test passed');
+} catch (e) {
+    console.error('✗ Validation hooks test failed:', e.message);
+} finally {
+    ValidatedMethod.hooks = {};
+}
+
+// Test: Validation modes
+try {
+    const make = mode => _$({ n: 'int' }, ({ n }) => n, 'int', { mode });
+
+    // Off calls the callback directly, without coercion or checks
+    console.assert(make('off')({ n: 'x' }) === 'x', 'Off mode should skip validation');
+    console.assert(_$(['int', 'int'], (a, b) => a + b, undefined, { mode: 'off' })('1', '2') === '12',
+        'Off mode should pass positional arguments through');
+
+    // Params-only coerces params but trusts the return value
+    const paramsOnly = _$('int', n => String(n), 'int', { mode: 'params-only' });
+    console.assert(paramsOnly('4') === '4', 'Params-only mode should skip return validation');
+    try {
+        make('params-only')({ n: 'x' });
+        throw new Error('Params-only mode skipped params');
+    } catch (e) {
+        if (e.rule !== 'coerce') throw e;
+    }
+
+    // Sample validates the first of every N calls and reports failures to hooks
+    const reported = [];
+    const sampled = _$('int', n => n, 'string', {
+        mode: 'sample',
+        sampleRate: 3,
+        hooks: {
+            onValidationError: e => { reported.push(e.rule); },
+            onReturnMismatch: e => { reported.push(e.phase); }
+        }
+    });
+    const results = ['a', 'b', 'c', 5].map(value => sampled(value));
+    console.assert(
+        JSON.stringify(results) === JSON.stringify(['a', 'b', 'c', 5]) &&
+        JSON.stringify(reported) === JSON.stringify(['coerce', 'return']),
+        `Sample mode should report sampled calls, got ${JSON.stringify(reported)}`
+    );
+
+    // The global mode applies unless a method sets its own
+    ValidatedMethod.mode = 'off';
+    const global = _$('int', n => n);
+    const pinned = _$('int', n => n, undefined, { mode: 'full' });
+    console.assert(global('x') === 'x', 'Global off mode should apply');
+    try {
+        pinned('x');
+        throw new Error('Per-method mode ignored');
+    } catch (e) {
+        if (e.rule !== 'coerce') throw e;
+    }
+    ValidatedMethod.mode = 'full';
+    console.assert(global('7') === 7, 'Global mode should be read on each call');
+
+    for (const define of [
+        () => { ValidatedMethod.mode = 'fast'; },
+        () => { ValidatedMethod.sampleRate = 0; },
+        () => _$('int', n => n, undefined, { mode: 'none' }),
+        () => _$('int', n => n, undefined, { sampleRate: 1.5 })
+    ]) {
+        try {
+            define();
+            throw new Error('Invalid mode accepted');
+        } catch (e) {
+            if (!(e instanceof TypeError) || e.message === 'Invalid mode accepted') throw e;
+        }
+    }
+    console.log('✓ Validation modes test passed');
+} catch (e) {
+    console.error('✗ Validation modes test failed:', e.message);
+} finally {
+    ValidatedMethod.mode = 'full';
+}
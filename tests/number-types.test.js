@@ -131,3 +131,154 @@ try {
     console.error('✗ Quiet mode test failed:', e.message);
 }
 
+
+// Test: Numeric and length constraints
+try {
+    const profile = new ValidatedMethod({
+        age: { type: 'int', min: 0, max: 150 },
+        score: { type: 'number', positive: true, finite: true },
+        step: { type: 'float', multipleOf: 0.1 },
+        name: { type: 'string', minLength: 2, maxLength: 20 },
+        tags: { type: 'array<string>', maxLength: 2, default: [] }
+    }, opts => opts);
+
+    const result = profile({ age: '42', score: 1.5, step: 0.3, name: 'Test' });
+    console.assert(
+        result.age === 42 && result.step === 0.3 && result.tags.length === 0,
+        'Values within constraints should be accepted'
+    );
+
+    const failures = [
+        [{ age: 200 }, 'Expected int between 0 and 150, got 200 for age', 'max'],
+        [{ age: '-1' }, 'Expected int between 0 and 150, got -1 for age', 'min'],
+        [{ score: 0 }, 'Expected positive number, got 0 for score', 'positive'],
+        [{ score: 'Infinity' }, 'Expected finite number, got Infinity for score', 'finite'],
+        [{ step: 0.25 }, 'Expected float multiple of 0.1, got 0.25 for step', 'multipleOf'],
+        [{ name: 'T' }, 'Expected string with length between 2 and 20, got length 1 for name', 'minLength'],
+        [{ tags: ['a', 'b', 'c'] }, 'Expected array<string> with length <= 2, got length 3 for tags', 'maxLength']
+    ];
+
+    for (const [params, message, rule] of failures) {
+        try {
+            profile({ age: 1, score: 1, step: 1, name: 'Test', ...params });
+            throw new Error(`Should have failed ${rule} constraint`);
+        } catch (e) {
+            if (e.message !== message || e.rule !== rule) {
+                throw new Error(`Wrong error for ${rule} constraint: ${e.message}`);
+            }
+        }
+    }
+
+    // Positional and return constraints
+    const clamp = new ValidatedMethod(
+        [{ type: 'number', min: 0 }],
+        n => n - 10,
+        { type: 'int', min: 0 }
+    );
+    console.assert(clamp(15) === 5, 'Positional constraint failed');
+    try {
+        clamp(-1);
+        throw new Error('Should have failed positional constraint');
+    } catch (e) {
+        if (!e.message.includes('Expected number >= 0, got -1 for Argument 0')) {
+            throw new Error(`Wrong error for positional constraint: ${e.message}`);
+        }
+    }
+    try {
+        clamp(5);
+        throw new Error('Should have failed return constraint');
+    } catch (e) {
+        if (!e.message.includes('Return value -5 does not match type int')) {
+            throw new Error(`Wrong error for return constraint: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Numeric and length constraints test passed');
+} catch (e) {
+    console.error('✗ Numeric and length constraints test failed:', e.message);
+}
+
+// Test: Coercion Policies
+try {
+    const schema = { count: 'int', ratio: 'float', flag: 'boolean' };
+    const withPolicy = coercion => {
+        const method = new ValidatedMethod(schema, opts => opts, 'object', { coercion });
+        return params => method({ count: 1, ratio: 1, flag: true, ...params });
+    };
+    const lenient = withPolicy(undefined);
+    const form = withPolicy('form');
+    const strict = withPolicy('strict');
+    const fails = (fn, params, message) => {
+        try {
+            fn(params);
+        } catch (e) {
+            if (!e.message.includes(message)) {
+                throw new Error(`Wrong coercion error: ${e.message}`);
+            }
+            return true;
+        }
+        return false;
+    };
+
+    const loose = lenient({ count: '12abc', ratio: '-1.5', flag: 'false' });
+    console.assert(loose.count === 12 && loose.ratio === -1.5 && loose.flag === true,
+        'Lenient policy should keep parseFloat and Boolean coercion');
+    console.assert(lenient({ count: -1.5 }).count === -2, 'Lenient int should round down');
+
+    const parsed = form({ count: ' -12 ', ratio: '2e3', flag: 'Off' });
+    console.assert(parsed.count === -12 && parsed.ratio === 2000 && parsed.flag === false,
+        'Form policy should parse full strings and read form booleans');
+    console.assert(form({ flag: '1' }).flag === true && form({ flag: 0 }).flag === false,
+        'Form policy should accept 1 and 0 as booleans');
+    console.assert(fails(form, { count: '12abc' }, 'Cannot convert 12abc to number for count'),
+        'Form policy should reject partial numbers');
+    console.assert(fails(form, { count: '12.7' }, 'Expected integer, got 12.7 for count'),
+        'Form policy should reject fractional ints');
+    console.assert(fails(form, { flag: 'maybe' }, 'Cannot convert string to boolean for flag'),
+        'Form policy should reject unknown booleans');
+
+    console.assert(strict({ count: 3, ratio: 0.5, flag: false }).flag === false,
+        'Strict policy should pass real values');
+    console.assert(fails(strict, { ratio: '0.5' }, 'Cannot convert 0.5 to number for ratio'),
+        'Strict policy should reject numeric strings');
+    console.assert(fails(strict, { count: 1.5 }, 'Expected integer, got 1.5 for count'),
+        'Strict policy should reject fractional ints');
+    console.assert(fails(strict, { flag: 1 }, 'Cannot convert number to boolean for flag'),
+        'Strict policy should reject non-boolean flags');
+
+    // Global and custom policies
+    ValidatedMethod.coercion = { boolean: value => ({ Y: true, N: false })[value] };
+    try {
+        const custom = lenient({ count: '7.9', flag: 'N' });
+        console.assert(custom.count === 7 && custom.flag === false,
+            'Custom policy should fall back to lenient numbers');
+        console.assert(fails(lenient, { flag: 'yes' }, 'Cannot convert string to boolean'),
+            'Custom policy should reject unknown booleans');
+        console.assert(form({ flag: 'no' }).flag === false, 'Method policy should override global');
+    } finally {
+        ValidatedMethod.coercion = 'lenient';
+    }
+
+    // Return values are checked with the same policy
+    const answer = (value, coercion) => new ValidatedMethod('any', () => value, 'boolean', { coercion });
+    console.assert(answer('off', 'form')('x') === 'off', 'Form policy should accept form boolean returns');
+    console.assert(fails(answer('maybe', 'form'), 'x', 'does not match type boolean'),
+        'Form policy should reject unknown boolean returns');
+    console.assert(fails(answer('false', 'strict'), 'x', 'does not match type boolean'),
+        'Strict policy should reject string boolean returns');
+    console.assert(answer('true')('x') === 'true' && fails(answer('hello'), 'x', 'does not match type boolean'),
+        'Lenient policy should only accept boolean-like returns');
+    console.assert(answer('N', { boolean: value => ({ Y: true, N: false })[value] })('x') === 'N',
+        'Custom policy should check boolean returns with its boolean coercion');
+    console.assert(fails(answer(false, { isBoolean: value => value === true }), 'x', 'does not match type boolean'),
+        'Custom isBoolean should decide boolean returns');
+
+    for (const invalid of ['loose', { round: Math.round }, { number: 1 }]) {
+        console.assert(fails(() => new ValidatedMethod(schema, opts => opts, undefined, { coercion: invalid }), null, 'oercion'),
+            `Invalid coercion ${JSON.stringify(invalid)} should be rejected`);
+    }
+
+    console.log('✓ Coercion policies test passed');
+} catch (e) {
+    console.error('✗ Coercion policies test failed:', e.message);
+}
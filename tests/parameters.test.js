@@ -88,3 +88,290 @@ try {
     console.error('✗ Optional parameters callback test failed:', e.message);
 }
 
+
+// Test: Nested object schemas
+try {
+    const nestedMethod = new ValidatedMethod({
+        name: 'string',
+        address: {
+            street: 'string',
+            zip: /^\d{5}$/,
+            geo: {
+                lat: 'number',
+                lng: 'number'
+            }
+        },
+        extra: {
+            note: ['string', 'optional']
+        }
+    }, opts => opts);
+
+    const result = nestedMethod({
+        name: 'Test',
+        address: {
+            street: 'Main St',
+            zip: 12345,
+            geo: { lat: '43.6', lng: -79.4 }
+        }
+    });
+
+    console.assert(
+        result.address.zip === '12345' &&
+        result.address.geo.lat === 43.6 &&
+        result.extra === undefined,
+        'Nested values should be validated and coerced'
+    );
+
+    // Test full dotted path in error messages
+    try {
+        nestedMethod({
+            name: 'Test',
+            address: { street: 'Main St', zip: 'abc', geo: { lat: 1, lng: 2 } }
+        });
+        throw new Error('Should have failed nested pattern validation');
+    } catch (e) {
+        if (!e.message.includes('for address.zip')) {
+            throw new Error(`Wrong error for nested validation: ${e.message}`);
+        }
+    }
+
+    try {
+        nestedMethod({
+            name: 'Test',
+            address: { street: 'Main St', zip: '12345', geo: { lat: 1 } }
+        });
+        throw new Error('Should have failed missing nested parameter');
+    } catch (e) {
+        if (!e.message.includes('Missing required parameter: address.geo.lng')) {
+            throw new Error(`Wrong error for missing nested parameter: ${e.message}`);
+        }
+    }
+
+    // Test non-object value for nested schema
+    try {
+        nestedMethod({ name: 'Test', address: 'Main St' });
+        throw new Error('Should have failed nested object validation');
+    } catch (e) {
+        if (!e.message.includes('Expected object, got string for address')) {
+            throw new Error(`Wrong error for nested object validation: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Nested object schema test passed');
+} catch (e) {
+    console.error('✗ Nested object schema test failed:', e.message);
+}
+
+// Test: Optional and default positional parameters
+try {
+    const paginate = new ValidatedMethod(
+        ['string', ['number', 'optional'], { type: 'int', default: 10 }],
+        (query, page, limit) => ({ query, page, limit })
+    );
+
+    const result1 = paginate('test');
+    console.assert(
+        result1.query === 'test' &&
+        result1.page === undefined &&
+        result1.limit === 10,
+        'Default should fill omitted trailing parameter'
+    );
+
+    const result2 = paginate('test', 2, '25');
+    console.assert(
+        result2.page === 2 &&
+        result2.limit === 25,
+        'Provided optional parameters should be validated and coerced'
+    );
+
+    const result3 = paginate('test', undefined, undefined);
+    console.assert(
+        result3.page === undefined && result3.limit === 10,
+        'Explicit undefined should use the default'
+    );
+
+    try {
+        paginate();
+        throw new Error('Should have failed argument count');
+    } catch (e) {
+        if (!e.message.includes('Expected at least 1 arguments, got 0')) {
+            throw new Error(`Wrong error for argument count: ${e.message}`);
+        }
+    }
+
+    try {
+        paginate('test', 'first');
+        throw new Error('Should have failed optional parameter validation');
+    } catch (e) {
+        if (!e.message.includes('for Argument 1')) {
+            throw new Error(`Wrong error for optional parameter: ${e.message}`);
+        }
+    }
+
+    // Per-slot union types
+    const format = new ValidatedMethod(
+        [['string', 'number'], 'optional'],
+        (value, options) => `${value}${options ?? ''}`
+    );
+    console.assert(
+        format(42) === '42' && format('a', '!') === 'a!',
+        'Positional union and optional slots failed'
+    );
+    try {
+        format(true);
+        throw new Error('Should have failed union validation');
+    } catch (e) {
+        if (!e.message.includes('Expected one of [string,number], got boolean')) {
+            throw new Error(`Wrong error for union slot: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Optional positional parameters test passed');
+} catch (e) {
+    console.error('✗ Optional positional parameters test failed:', e.message);
+}
+
+// Test: Named parameter defaults and transforms
+try {
+    const search = new ValidatedMethod({
+        query: { type: 'string', transform: s => s.trim() },
+        limit: { type: 'int', default: 10 },
+        sort: { type: ['string', 'optional'], default: 'asc' },
+        tags: { type: 'array<string>', transform: tags => tags.map(t => t.toLowerCase()) }
+    }, opts => opts);
+
+    const result = search({ query: '  test  ', tags: ['A', 'b'] });
+    console.assert(
+        result.query === 'test' &&
+        result.limit === 10 &&
+        result.sort === 'asc' &&
+        result.tags.join() === 'a,b',
+        'Defaults and transforms should normalize params'
+    );
+
+    const coerced = search({ query: 'x', limit: '25', sort: 'desc', tags: [] });
+    console.assert(
+        coerced.limit === 25 && coerced.sort === 'desc',
+        'Provided values should be coerced instead of defaulted'
+    );
+
+    try {
+        search({ limit: 5, tags: [] });
+        throw new Error('Should have failed missing parameter');
+    } catch (e) {
+        if (!e.message.includes('Missing required parameter: query')) {
+            throw new Error(`Wrong error for missing descriptor parameter: ${e.message}`);
+        }
+    }
+
+    try {
+        search({ query: 'x', limit: 'many', tags: [] });
+        throw new Error('Should have failed descriptor type validation');
+    } catch (e) {
+        if (!e.message.includes('Cannot convert many to number for limit')) {
+            throw new Error(`Wrong error for descriptor type: ${e.message}`);
+        }
+    }
+
+    // Defaults are filled when all params are omitted
+    const settings = new ValidatedMethod({
+        theme: { type: 'string', default: 'dark' },
+        size: ['int', 'optional']
+    }, opts => opts);
+    const defaults = settings();
+    console.assert(
+        defaults.theme === 'dark' && !('size' in defaults),
+        'Defaults should be filled for omitted params'
+    );
+
+    // Array and object defaults are fresh for every call
+    for (const compile of [true, false]) {
+        const tag = new ValidatedMethod({
+            tags: { type: 'array', default: [] },
+            meta: { type: 'object', default: { seen: [] } }
+        }, opts => {
+            opts.tags.push('x');
+            opts.meta.seen.push('x');
+            return opts.tags.length + opts.meta.seen.length;
+        }, undefined, { compile });
+        console.assert(tag({}) === 2 && tag({}) === 2, `Named defaults should not be shared (compile: ${compile})`);
+    }
+    const append = new ValidatedMethod([{ type: 'array', default: [] }], list => list.push('x'));
+    console.assert(append() === 1 && append() === 1, 'Positional defaults should not be shared');
+
+    // Nested schemas made only of descriptor keys are read as descriptors unless wrapped
+    const track = new ValidatedMethod({ event: { type: 'string' } }, opts => opts.event);
+    const trackObject = new ValidatedMethod({ event: { type: { type: 'string' } } }, opts => opts.event);
+    console.assert(track({ event: 'click' }) === 'click', 'Descriptor-shaped schema should be a descriptor');
+    console.assert(trackObject({ event: { type: 'click' } }).type === 'click', 'Wrapped nested schema should be an object');
+    try {
+        trackObject({ event: { type: 1 } });
+        throw new Error('Should have failed wrapped nested schema');
+    } catch (e) {
+        if (!e.message.includes('Expected string, got number for event.type')) {
+            throw new Error(`Wrong error for wrapped nested schema: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Named parameter defaults and transforms test passed');
+} catch (e) {
+    console.error('✗ Named parameter defaults and transforms test failed:', e.message);
+}
+
+// Test: Coercion leaves the caller's objects untouched
+try {
+    const schema = {
+        age: 'int',
+        tags: 'array<int>',
+        address: { zip: 'string', country: { type: 'string', default: 'NO' } },
+        page: { type: 'int', default: 1 }
+    };
+    for (const compile of [true, 'safe', false]) {
+        let received;
+        const save = new ValidatedMethod(schema, opts => (received = opts), undefined, { compile, unexpected: 'strip' });
+
+        const tags = ['1', 2];
+        const address = { zip: '0150' };
+        const input = { age: '42', tags, address, extra: true };
+        save(input);
+
+        console.assert(
+            input.age === '42' && input.extra === true && !('page' in input) &&
+            input.tags === tags && tags[0] === '1' &&
+            input.address === address && !('country' in address),
+            `Input should not be modified (compile: ${compile})`
+        );
+        console.assert(
+            received !== input && received.age === 42 && received.page === 1 && !('extra' in received) &&
+            received.tags !== tags && received.tags[0] === 1 &&
+            received.address !== address && received.address.country === 'NO',
+            `Callback should receive normalized copies (compile: ${compile})`
+        );
+
+        // Values that need no changes are passed through as they are
+        const clean = { age: 1, tags: [1], address: { zip: '1', country: 'SE' }, page: 2 };
+        save(clean);
+        console.assert(received === clean && received.tags === clean.tags, 'Unchanged params should not be copied');
+    }
+
+    // Positional typed arrays are copied too
+    const sum = new ValidatedMethod(['array<int>'], values => values);
+    const values = ['1', '2'];
+    const result = sum(values);
+    console.assert(values[0] === '1' && result[0] === 1 && result !== values, 'Positional arrays should not be modified');
+
+    // The legacy flag coerces in place, per method or globally
+    const legacy = new ValidatedMethod({ age: 'int' }, opts => opts, undefined, { mutate: true });
+    const legacyInput = { age: '7' };
+    console.assert(legacy(legacyInput) === legacyInput && legacyInput.age === 7, 'Per-method mutate should coerce in place');
+
+    ValidatedMethod.mutate = true;
+    const globalInput = { age: '7' };
+    new ValidatedMethod({ age: 'int' }, opts => opts)(globalInput);
+    console.assert(globalInput.age === 7, 'Global mutate should coerce in place');
+    console.log('✓ Non-mutating coercion test passed');
+} catch (e) {
+    console.error('✗ Non-mutating coercion test failed:', e.message);
+} finally {
+    ValidatedMethod.mutate = false;
+}
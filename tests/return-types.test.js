@@ -106,6 +106,26 @@ try {
         'Unvalidated return failed'
     );
 
+    // Test boolean rejects values that aren't boolean-like, whatever the coercion policy
+    for (const value of ['hello', {}, 42]) {
+        for (const coercion of ['lenient', 'form']) {
+            const boolMethod = new ValidatedMethod('any', () => value, 'boolean', { coercion });
+            try {
+                boolMethod('test');
+                throw new Error(`Should reject ${JSON.stringify(value)} for boolean`);
+            } catch (e) {
+                if (!e.message.includes('does not match type boolean')) {
+                    throw new Error(`Wrong error for boolean validation: ${e.message}`);
+                }
+            }
+        }
+    }
+    const flagMethod = new ValidatedMethod('any', value => value, 'boolean');
+    console.assert(
+        [true, 0, 1, 'true', 'false'].every(value => flagMethod(value) === value),
+        'Boolean return validation failed'
+    );
+
     console.log('✓ Return type edge cases test passed');
 } catch (e) {
     console.error('✗ Return type edge cases test failed:', e.message);
@@ -12,7 +12,14 @@ const tests = [
     'async.test.js',
     'return-types.test.js',
     'validator.test.js',
-    'helper-and-modes.test.js'
+    'helper-and-modes.test.js',
+    'array-types.test.js',
+    'validation-error.test.js',
+    'union-types.test.js',
+    'schema.test.js',
+    'format-types.test.js',
+    'class-methods.test.js',
+    'compile.test.js'
 ];
 
 console.log('Running ValidatedMethod Test Suite\n');
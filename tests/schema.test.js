@@ -0,0 +1,331 @@
+import { ValidatedMethod, _$, arrayOf, oneOf, toJSONSchema, fromJSONSchema } from "../validated-method.js";
+
+class User {}
+const isEven = n => n % 2 === 0;
+
+// Test: Schema introspection
+try {
+    const method = _$({
+        name: { type: 'string', minLength: 1 },
+        age: ['int', 'optional'],
+        email: /^[^@]+@[^@]+$/i,
+        sort: oneOf('asc', 'desc'),
+        tags: arrayOf('string'),
+        owner: [User, 'null'],
+        even: isEven,
+        address: {
+            zip: 'string',
+            unit: ['string', 'optional']
+        },
+        limit: { type: 'int', default: 10, max: 100 }
+    }, opts => opts, 'boolean');
+
+    const { params, returns } = method.describe();
+    const { properties } = params;
+
+    console.assert(
+        method.originalMethod instanceof ValidatedMethod &&
+        JSON.stringify(method.schema) === JSON.stringify(method.describe()),
+        'Wrapper should expose schema and describe()'
+    );
+    console.assert(
+        params.type === 'object' &&
+        params.unexpected === 'warn' &&
+        properties.name.type === 'string' &&
+        properties.name.minLength === 1 &&
+        properties.age.type === 'int' &&
+        properties.age.optional === true &&
+        properties.email.type === 'pattern' &&
+        properties.email.pattern === '^[^@]+@[^@]+$' &&
+        properties.sort.values.join() === 'asc,desc' &&
+        properties.tags.items.type === 'string' &&
+        properties.owner.anyOf[0].class === 'User' &&
+        properties.owner.anyOf[1].type === 'null' &&
+        properties.even.type === 'validator' &&
+        properties.address.properties.unit.optional === true &&
+        !properties.address.optional &&
+        properties.limit.default === 10 &&
+        properties.limit.optional === true &&
+        returns.type === 'boolean',
+        'Named schema description failed'
+    );
+
+    const positional = _$(['string', { type: 'int', default: 1 }], (a, b) => a).describe();
+    console.assert(
+        positional.params.type === 'tuple' &&
+        positional.params.items.length === 2 &&
+        positional.params.items[1].optional === true &&
+        positional.params.unexpected === 'ignore' &&
+        positional.returns === undefined,
+        'Positional schema description failed'
+    );
+
+    // A single parameter is called with a bare value, so it is described as a one-item tuple
+    const single = _$({ value: 'string' }, opts => opts.value);
+    const singleSchema = toJSONSchema(single.schema.params);
+    console.assert(
+        single('abc') === 'abc' &&
+        single.schema.params.type === 'tuple' &&
+        single.schema.params.items[0].type === 'string' &&
+        singleSchema.prefixItems[0].type === 'string' && singleSchema.minItems === 1,
+        'Single parameter description failed'
+    );
+
+    console.log('✓ Schema introspection test passed');
+} catch (e) {
+    console.error('✗ Schema introspection test failed:', e.message);
+}
+
+// Test: JSON Schema export
+try {
+    const method = _$({
+        name: { type: 'string', minLength: 1, maxLength: 40 },
+        age: { type: 'int', min: 0, max: 150 },
+        price: { type: 'number', positive: true, multipleOf: 0.01 },
+        email: /^[^@]+@[^@]+$/,
+        sort: oneOf('asc', 'desc'),
+        tags: { type: 'array<string>', maxLength: 5, default: [] },
+        owner: [User, 'null', 'optional'],
+        address: {
+            zip: /^\d{5}$/
+        }
+    }, opts => opts, undefined, { unexpected: 'throw' });
+
+    const schema = toJSONSchema(method.schema.params);
+    const expected = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 40 },
+            age: { type: 'integer', minimum: 0, maximum: 150 },
+            price: { type: 'number', exclusiveMinimum: 0, multipleOf: 0.01 },
+            email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+            sort: { enum: ['asc', 'desc'] },
+            tags: { type: 'array', items: { type: 'string' }, maxItems: 5, default: [] },
+            owner: { anyOf: [{ $comment: 'instance of User' }, { type: 'null' }] },
+            address: {
+                type: 'object',
+                properties: { zip: { type: 'string', pattern: '^\\d{5}$' } },
+                required: ['zip'],
+                additionalProperties: false
+            }
+        },
+        required: ['name', 'age', 'price', 'email', 'sort', 'address'],
+        additionalProperties: false
+    };
+
+    console.assert(
+        JSON.stringify(schema) === JSON.stringify(expected),
+        `Named JSON Schema export failed: ${JSON.stringify(schema)}`
+    );
+
+    const tuple = toJSONSchema(_$(['string', ['number', 'optional']], (a, b) => a).schema.params);
+    console.assert(
+        JSON.stringify(tuple) === JSON.stringify({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'array',
+            prefixItems: [{ type: 'string' }, { type: 'number' }],
+            minItems: 1
+        }),
+        `Positional JSON Schema export failed: ${JSON.stringify(tuple)}`
+    );
+
+    const returns = toJSONSchema(_$('void', () => 1, ['int', 'null']).schema.returns);
+    console.assert(
+        JSON.stringify(returns.anyOf) === '[{"type":"integer"},{"type":"null"}]',
+        'Return JSON Schema export failed'
+    );
+
+    console.log('✓ JSON Schema export test passed');
+} catch (e) {
+    console.error('✗ JSON Schema export test failed:', e.message);
+}
+
+// Test: Build schemas from JSON Schema
+try {
+    const contract = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            age: { type: 'integer', minimum: 0, maximum: 150 },
+            email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+            sort: { enum: ['asc', 'desc'], default: 'asc' },
+            tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+            id: { oneOf: [{ type: 'integer' }, { type: 'string', pattern: '^usr_' }] },
+            note: { type: ['string', 'null'] },
+            address: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string' },
+                    zip: { type: 'string' }
+                },
+                required: ['type']
+            }
+        },
+        required: ['name', 'age', 'email', 'id', 'address']
+    };
+
+    const createUser = _$(fromJSONSchema(contract), opts => opts);
+    const result = createUser({
+        name: 'Test',
+        age: 42,
+        email: 'test@example.com',
+        id: 'usr_1',
+        note: null,
+        address: { type: 'home' }
+    });
+
+    console.assert(
+        result.sort === 'asc' && result.address.type === 'home',
+        'Imported schema should accept valid params and fill defaults'
+    );
+
+    const failures = [
+        [{ name: '' }, 'name'],
+        [{ age: 200 }, 'age'],
+        [{ age: '42' }, 'age'],
+        [{ email: 'nope' }, 'email'],
+        [{ sort: 'up' }, 'sort'],
+        [{ tags: ['a', 1] }, 'tags[1]'],
+        [{ tags: ['a', 'b', 'c', 'd'] }, 'tags'],
+        [{ id: 'abc' }, 'id'],
+        [{ note: 1 }, 'note'],
+        [{ address: {} }, 'address.type']
+    ];
+    for (const [params, path] of failures) {
+        try {
+            createUser({
+                name: 'Test', age: 1, email: 'a@b', id: 1, address: { type: 'home' }, ...params
+            });
+            throw new Error(`Should have failed validation for ${path}`);
+        } catch (e) {
+            if (e.path !== path) {
+                throw new Error(`Wrong error for ${path}: ${e.message}`);
+            }
+        }
+    }
+
+    // Tuples become positional parameters
+    const add = _$(fromJSONSchema({
+        type: 'array',
+        prefixItems: [{ type: 'number' }, { type: 'number' }],
+        minItems: 1
+    }), (a, b = 0) => a + b);
+    console.assert(add(40, 2) === 42 && add(1) === 1, 'Imported tuple schema failed');
+
+    // Exclusive bounds are kept
+    const bounded = _$(fromJSONSchema({
+        type: 'object',
+        properties: {
+            n: { type: 'integer', exclusiveMinimum: 1, exclusiveMaximum: 10 }
+        },
+        required: ['n']
+    }), opts => opts.n);
+    console.assert(bounded({ n: 9 }) === 9, 'Exclusive bounds should accept values inside them');
+    for (const [n, rule] of [[10, 'exclusiveMax'], [1, 'exclusiveMin']]) {
+        try {
+            bounded({ n });
+            throw new Error(`Should have failed ${rule}`);
+        } catch (e) {
+            if (e.rule !== rule) throw new Error(`Wrong error for ${rule}: ${e.message}`);
+        }
+    }
+    const boundedSchema = toJSONSchema(bounded.schema.params).properties.n;
+    console.assert(boundedSchema.exclusiveMinimum === 1 && boundedSchema.exclusiveMaximum === 10,
+        'Exclusive bounds should export');
+
+    // The false schema matches nothing
+    const never = _$(fromJSONSchema({ type: 'object', properties: { x: false } }), opts => opts);
+    console.assert(never({}).x === undefined, 'Optional false property should allow omission');
+    try {
+        never({ x: 1 });
+        throw new Error('False schema should reject every value');
+    } catch (e) {
+        if (e.message !== 'Expected no value, got 1 for x') {
+            throw new Error(`Wrong error for false schema: ${e.message}`);
+        }
+    }
+
+    // Constraints that can't be honoured are refused
+    try {
+        fromJSONSchema({ type: 'array', items: { type: 'string' }, uniqueItems: true });
+        throw new Error('Unsupported keyword accepted');
+    } catch (e) {
+        if (e.message !== "Unsupported JSON Schema keyword 'uniqueItems'") throw e;
+    }
+
+    // Patterns are checked along with the type and format
+    const contact = fromJSONSchema({
+        type: 'object',
+        properties: {
+            email: { type: 'string', format: 'email', pattern: '@example\\.com$' },
+            code: { type: 'string', pattern: '^\\d+$' }
+        },
+        required: ['email', 'code']
+    });
+    const patternCases = [
+        [{ email: 'a@example.com', code: '12' }, true],
+        [{ email: 'a@other.com', code: '12' }, 'pattern'],
+        [{ email: 'x@example.com@', code: '12' }, 'type'],
+        [{ email: 'a@example.com', code: 12 }, 'type']
+    ];
+    for (const [params, expected] of patternCases) {
+        const result = ValidatedMethod.check(contact, params);
+        if (expected === true ? !result.ok : result.errors?.[0].rule !== expected) {
+            throw new Error(`Unexpected pattern result for ${JSON.stringify(params)}: ${JSON.stringify(result)}`);
+        }
+    }
+
+    // Closed objects and tuples reject extra params whatever the method policy
+    const closed = fromJSONSchema({
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            address: { type: 'object', properties: { zip: { type: 'string' } }, required: ['zip'], additionalProperties: false }
+        },
+        required: ['name', 'address']
+    });
+    const closedCheck = ValidatedMethod.check(closed, { name: 'a', extra: 1, address: { zip: '1', city: 'x' } },
+        { unexpected: 'ignore' });
+    if (closedCheck.ok || closedCheck.errors.length !== 1 || closedCheck.errors[0].path !== 'address.city') {
+        throw new Error(`Closed object should reject extra keys: ${JSON.stringify(closedCheck)}`);
+    }
+    const closedTuple = fromJSONSchema({ type: 'array', prefixItems: [{ type: 'number' }], minItems: 1, items: false });
+    if (ValidatedMethod.check(closedTuple, [1, 2]).errors?.[0].rule !== 'unexpected') {
+        throw new Error('Closed tuple should reject surplus arguments');
+    }
+    const strictMethod = _$({ a: 'string', b: { c: 'int' } }, opts => opts, undefined, { unexpected: 'throw' });
+    const strictSchema = toJSONSchema(strictMethod.schema.params);
+    console.assert(
+        JSON.stringify(toJSONSchema(_$(fromJSONSchema(strictSchema), opts => opts).schema.params)) ===
+            JSON.stringify(strictSchema),
+        'Closed objects should round trip'
+    );
+
+    // Unknown formats and schema-valued additionalProperties are refused
+    for (const [schema, message] of [
+        [{ type: 'string', format: 'hostname' }, "Unsupported JSON Schema format 'hostname'"],
+        [{ type: 'object', properties: {}, additionalProperties: { type: 'string' } },
+            "Unsupported JSON Schema keyword 'additionalProperties'"]
+    ]) {
+        try {
+            fromJSONSchema(schema);
+            throw new Error(`Should have refused ${JSON.stringify(schema)}`);
+        } catch (e) {
+            if (e.message !== message) throw e;
+        }
+    }
+
+    // Exported schemas round trip
+    const exported = toJSONSchema(createUser.schema.params);
+    console.assert(
+        JSON.stringify(toJSONSchema(_$(fromJSONSchema(exported), opts => opts).schema.params)) ===
+            JSON.stringify(exported),
+        'Exported schema should round trip'
+    );
+
+    console.log('✓ JSON Schema import test passed');
+} catch (e) {
+    console.error('✗ JSON Schema import test failed:', e.message);
+}
@@ -0,0 +1,306 @@
+import { ValidatedMethod, ValidationError, arrayOf, oneOf } from "../validated-method.js";
+
+class User {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+const isEven = n => n % 2 === 0;
+
+// Test: Union members of every validator kind
+try {
+    const lookup = new ValidatedMethod({
+        id: ['int', User],
+        code: [/^[A-Z]{3}$/, isEven],
+        owner: [User, 'null']
+    }, opts => opts);
+
+    const user = new User('test');
+    const result1 = lookup({ id: '42', code: 'ABC', owner: null });
+    const result2 = lookup({ id: user, code: 4, owner: user });
+
+    console.assert(
+        result1.id === 42 &&
+        result1.code === 'ABC' &&
+        result1.owner === null &&
+        result2.id === user &&
+        result2.code === 4 &&
+        result2.owner === user,
+        'Union members should be honored'
+    );
+
+    // Every alternative is reported when none match
+    try {
+        lookup({ id: 'abc', code: 3, owner: null });
+        throw new Error('Should have failed union validation');
+    } catch (e) {
+        if (!e.message.includes('Expected one of [int,User], got string for id')) {
+            throw new Error(`Wrong error for union validation: ${e.message}`);
+        }
+    }
+
+    try {
+        lookup({ id: 1, code: 'abc', owner: null });
+        throw new Error('Should have failed union validation');
+    } catch (e) {
+        if (!e.message.includes('Expected one of [/^[A-Z]{3}$/,custom validator], got string for code')) {
+            throw new Error(`Wrong error for union validation: ${e.message}`);
+        }
+    }
+
+    // Null is only accepted when listed
+    try {
+        lookup({ id: null, code: 'ABC', owner: null });
+        throw new Error('Should have rejected null');
+    } catch (e) {
+        if (!(e instanceof ValidationError) || e.path !== 'id') {
+            throw new Error(`Wrong error for null union member: ${e.message}`);
+        }
+    }
+
+    try {
+        lookup({ code: 'ABC', owner: null });
+        throw new Error('Should have failed missing parameter');
+    } catch (e) {
+        if (!e.message.includes('Missing required parameter: id')) {
+            throw new Error(`Wrong error for missing union parameter: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Union member kinds test passed');
+} catch (e) {
+    console.error('✗ Union member kinds test failed:', e.message);
+}
+
+// Test: Union member order and coercion
+try {
+    const method = new ValidatedMethod({
+        a: ['number', 'string'],
+        b: ['boolean', 'string'],
+        c: ['int', 'string'],
+        d: [arrayOf('int'), 'int']
+    }, opts => opts);
+
+    const result = method({ a: '42', b: 'yes', c: '7', d: '3' });
+    console.assert(
+        result.a === '42' &&
+        result.b === 'yes' &&
+        result.c === '7' &&
+        result.d === 3,
+        'Members accepting the value unchanged should win over coercion'
+    );
+
+    const coerced = method({ a: 1, b: 0, c: 2.5, d: ['1', 2] });
+    console.assert(
+        coerced.a === 1 &&
+        coerced.b === false &&
+        coerced.c === 2 &&
+        coerced.d.join() === '1,2',
+        'First coercing member should apply when nothing matches exactly'
+    );
+
+    console.log('✓ Union member order test passed');
+} catch (e) {
+    console.error('✗ Union member order test failed:', e.message);
+}
+
+// Test: Unions in positional parameters and return types
+try {
+    const find = new ValidatedMethod(
+        [['int', /^[a-z]+$/], ['optional', User]],
+        (key, user) => key,
+        ['int', /^[a-z]+$/, 'null']
+    );
+
+    console.assert(
+        find('12') === 12 && find('abc', new User('a')) === 'abc',
+        'Positional union members failed'
+    );
+
+    try {
+        find('ABC');
+        throw new Error('Should have failed positional union');
+    } catch (e) {
+        if (!e.message.includes('Expected one of [int,/^[a-z]+$/], got string for Argument 0')) {
+            throw new Error(`Wrong error for positional union: ${e.message}`);
+        }
+    }
+
+    const getOwner = new ValidatedMethod('optional', value => value, [User, isEven, 'null']);
+    console.assert(
+        getOwner(null) === null && getOwner(2) === 2,
+        'Return union members failed'
+    );
+
+    try {
+        getOwner(3);
+        throw new Error('Should have failed return union');
+    } catch (e) {
+        if (!e.message.includes('does not match any of [User,custom validator,null]')) {
+            throw new Error(`Wrong error for return union: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Positional and return union test passed');
+} catch (e) {
+    console.error('✗ Positional and return union test failed:', e.message);
+}
+
+// Test: Literal and enum types
+try {
+    const sortOrder = oneOf('asc', 'desc');
+    const list = new ValidatedMethod({
+        sort: sortOrder,
+        size: new Set([10, 25, 50]),
+        mode: [oneOf('all', 'none'), 'int']
+    }, opts => opts);
+
+    const result = list({ sort: 'asc', size: 25, mode: 'none' });
+    console.assert(
+        result.sort === 'asc' && result.size === 25 && result.mode === 'none',
+        'Enum values should be accepted'
+    );
+    console.assert(list({ sort: 'desc', size: 10, mode: '3' }).mode === 3,
+        'Enum in union should fall back to other members');
+
+    try {
+        list({ sort: 'up', size: 25, mode: 1 });
+        throw new Error('Should have failed enum validation');
+    } catch (e) {
+        if (!e.message.includes('Expected one of "asc" | "desc", got "up" for sort') ||
+            e.rule !== 'enum') {
+            throw new Error(`Wrong error for enum validation: ${e.message}`);
+        }
+    }
+
+    // No coercion between literal types
+    try {
+        list({ sort: 'asc', size: '25', mode: 1 });
+        throw new Error('Should have failed set validation');
+    } catch (e) {
+        if (!e.message.includes('Expected one of 10 | 25 | 50, got "25" for size')) {
+            throw new Error(`Wrong error for set validation: ${e.message}`);
+        }
+    }
+
+    // Allowed values are exposed for introspection
+    console.assert(
+        sortOrder.values.join() === 'asc,desc' && Object.isFrozen(sortOrder.values),
+        'Enum values should be exposed'
+    );
+
+    // Positional and return enums
+    const flip = new ValidatedMethod(sortOrder, dir => dir === 'asc' ? 'desc' : 'up', sortOrder);
+    console.assert(flip('asc') === 'desc', 'Positional enum failed');
+    try {
+        flip('desc');
+        throw new Error('Should have failed return enum');
+    } catch (e) {
+        if (!e.message.includes('does not match type "asc" | "desc"')) {
+            throw new Error(`Wrong error for return enum: ${e.message}`);
+        }
+    }
+    try {
+        flip('left');
+        throw new Error('Should have failed positional enum');
+    } catch (e) {
+        if (!e.message.includes('for Argument 0')) {
+            throw new Error(`Wrong error for positional enum: ${e.message}`);
+        }
+    }
+
+    console.log('✓ Literal and enum types test passed');
+} catch (e) {
+    console.error('✗ Literal and enum types test failed:', e.message);
+}
+
+// Test: Unions with async members
+async function runAsyncUnionTests() {
+    try {
+        const isKnown = async id => id === 'known';
+        const method = new ValidatedMethod({
+            id: ['int', isKnown]
+        }, opts => opts.id);
+
+        console.assert(method({ id: 5 }) === 5, 'Sync member should match synchronously');
+        console.assert(await method({ id: 'known' }) === 'known', 'Async member should match');
+
+        try {
+            await method({ id: 'unknown' });
+            throw new Error('Should have failed async union');
+        } catch (e) {
+            if (!e.message.includes('Expected one of [int,custom validator]')) {
+                throw new Error(`Wrong error for async union: ${e.message}`);
+            }
+        }
+
+        // A failing async member before a matching sync member is not an unhandled rejection
+        const unhandled = [];
+        const onUnhandled = e => unhandled.push(e);
+        process.on('unhandledRejection', onUnhandled);
+        const rejects = async () => false;
+        const param = new ValidatedMethod({ x: [rejects, 'int'] }, opts => opts.x);
+        const returned = new ValidatedMethod('any', value => value, [rejects, 'string']);
+        console.assert(param({ x: '5' }) === 5, 'Sync member should coerce after a pending member');
+        console.assert(returned('s') === 's', 'Sync return member should match after a pending member');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        process.off('unhandledRejection', onUnhandled);
+        if (unhandled.length) {
+            throw new Error(`Unhandled async member rejection: ${unhandled[0].message}`);
+        }
+
+        console.log('✓ Async union member test passed');
+    } catch (e) {
+        console.error('✗ Async union member test failed:', e.message);
+    }
+}
+
+runAsyncUnionTests();
+
+// Test: Nullable modifier
+try {
+    const update = new ValidatedMethod({
+        name: ['string', 'nullable'],
+        nickname: ['string', 'optional'],
+        age: ['int', 'nullable', 'optional']
+    }, opts => opts);
+
+    const cleared = update({ name: null, age: null });
+    const set = update({ name: 'Ann', nickname: 'A', age: '30' });
+    console.assert(
+        cleared.name === null && cleared.age === null &&
+        set.name === 'Ann' && set.age === 30,
+        'Nullable values should be accepted'
+    );
+
+    // Nullable doesn't allow undefined and optional doesn't allow null
+    const rejected = [
+        [{ nickname: 'A' }, 'Missing required parameter: name'],
+        [{ name: 'Ann', nickname: null }, 'Expected string, got object for nickname']
+    ];
+    for (const [params, message] of rejected) {
+        try {
+            update(params);
+            throw new Error(`Expected failure: ${message}`);
+        } catch (e) {
+            if (e.message !== message) throw new Error(`Unexpected error: ${e.message}`);
+        }
+    }
+
+    const positional = new ValidatedMethod([['int', 'nullable']], n => n, ['string', 'nullable']);
+    console.assert(positional(null) === null, 'Positional nullable failed');
+    try {
+        positional(5);
+        throw new Error('Nullable return accepted a number');
+    } catch (e) {
+        if (e.phase !== 'return') throw e;
+    }
+
+    const schema = update.schema.params.properties;
+    console.assert(schema.name.nullable && !schema.name.optional && schema.nickname.optional && !schema.nickname.nullable,
+        'Nullable should be described');
+    console.log('✓ Nullable modifier test passed');
+} catch (e) {
+    console.error('✗ Nullable modifier test failed:', e.message);
+}
@@ -0,0 +1,393 @@
+import { ValidatedMethod, ValidationError } from "../validated-method.js";
+
+// Test: ValidationError details for named parameters
+try {
+    const method = new ValidatedMethod({
+        name: 'string',
+        address: {
+            zip: /^\d{5}$/
+        },
+        age: 'int'
+    }, opts => opts);
+
+    try {
+        method({ name: 'Test', address: { zip: 'abc' }, age: 1 });
+        throw new Error('Should have failed pattern validation');
+    } catch (e) {
+        console.assert(
+            e instanceof ValidationError &&
+            e instanceof TypeError &&
+            e.name === 'ValidationError' &&
+            e.path === 'address.zip' &&
+            e.expected === '/^\\d{5}$/' &&
+            e.received === 'string' &&
+            e.value === 'abc' &&
+            e.rule === 'pattern' &&
+            e.phase === 'params',
+            'Pattern error details incorrect'
+        );
+    }
+
+    try {
+        method({ address: { zip: '12345' }, age: 1 });
+        throw new Error('Should have failed missing parameter');
+    } catch (e) {
+        console.assert(
+            e.path === 'name' &&
+            e.expected === 'string' &&
+            e.received === 'undefined' &&
+            e.rule === 'required',
+            'Missing parameter error details incorrect'
+        );
+    }
+
+    try {
+        method({ name: 'Test', address: { zip: '12345' }, age: 'old' });
+        throw new Error('Should have failed coercion');
+    } catch (e) {
+        console.assert(
+            e.path === 'age' &&
+            e.rule === 'coerce' &&
+            e.value === 'old',
+            'Coercion error details incorrect'
+        );
+    }
+
+    console.log('✓ ValidationError named parameters test passed');
+} catch (e) {
+    console.error('✗ ValidationError named parameters test failed:', e.message);
+}
+
+// Test: ValidationError details for positional parameters
+try {
+    class Widget {}
+    const method = new ValidatedMethod(['string', Widget], (a, b) => b);
+
+    try {
+        method('test', {});
+        throw new Error('Should have failed instance validation');
+    } catch (e) {
+        console.assert(
+            e instanceof ValidationError &&
+            e.path === 'Argument 1' &&
+            e.expected === 'Widget' &&
+            e.received === 'Object' &&
+            e.rule === 'instance',
+            'Instance error details incorrect'
+        );
+    }
+
+    try {
+        method('test');
+        throw new Error('Should have failed argument count');
+    } catch (e) {
+        console.assert(
+            e.rule === 'arguments' &&
+            e.expected === 2 &&
+            e.received === 1,
+            'Argument count error details incorrect'
+        );
+    }
+
+    const cause = new Error('Validator error');
+    const throwing = new ValidatedMethod(val => { throw cause; }, val => val);
+    try {
+        throwing('test');
+        throw new Error('Should have failed throwing validator');
+    } catch (e) {
+        console.assert(
+            e.rule === 'validator' && e.cause === cause,
+            'Validator error should keep its cause'
+        );
+    }
+
+    console.log('✓ ValidationError positional parameters test passed');
+} catch (e) {
+    console.error('✗ ValidationError positional parameters test failed:', e.message);
+}
+
+// Test: ValidationError details for return values
+try {
+    const method = new ValidatedMethod('string', str => str.length, 'string');
+
+    try {
+        method('test');
+        throw new Error('Should have failed return validation');
+    } catch (e) {
+        console.assert(
+            e instanceof ValidationError &&
+            e.phase === 'return' &&
+            e.path === 'return' &&
+            e.expected === 'string' &&
+            e.received === 'number' &&
+            e.value === 4,
+            'Return error details incorrect'
+        );
+    }
+
+    console.log('✓ ValidationError return value test passed');
+} catch (e) {
+    console.error('✗ ValidationError return value test failed:', e.message);
+}
+
+// Test: Collect all errors per method
+try {
+    const form = new ValidatedMethod({
+        name: 'string',
+        age: 'int',
+        email: /^[^@]+@[^@]+$/,
+        address: {
+            zip: /^\d{5}$/
+        },
+        tags: 'array<string>'
+    }, opts => opts, undefined, { collectErrors: true });
+
+    try {
+        form({ age: 'old', email: 'nope', address: { zip: 'abc' }, tags: ['a', 1, 2] });
+        throw new Error('Should have failed validation');
+    } catch (e) {
+        const paths = e.errors?.map(err => err.path).join();
+        console.assert(
+            e instanceof ValidationError &&
+            e.rule === 'multiple' &&
+            paths === 'name,age,email,address.zip,tags[1],tags[2]',
+            `Should collect every failure, got ${paths}`
+        );
+        console.assert(
+            e.message.startsWith('6 validation errors: Missing required parameter: name;'),
+            'Aggregate message should list every failure'
+        );
+    }
+
+    // A single failure is thrown as-is
+    try {
+        form({ name: 'Test', age: 1, email: 'a@b', address: { zip: '1' }, tags: [] });
+        throw new Error('Should have failed validation');
+    } catch (e) {
+        console.assert(
+            e.path === 'address.zip' &&
+            e.errors.length === 1 &&
+            e.errors[0] === e,
+            'Single failure should be thrown directly'
+        );
+    }
+
+    console.log('✓ Collect errors per method test passed');
+} catch (e) {
+    console.error('✗ Collect errors per method test failed:', e.message);
+}
+
+// Test: Collect all errors globally
+try {
+    ValidatedMethod.collectErrors = true;
+    const positional = new ValidatedMethod(['string', 'int', 'boolean'], (a, b, c) => a);
+    const failFast = new ValidatedMethod(['string', 'int'], (a, b) => a, undefined, {
+        collectErrors: false
+    });
+
+    try {
+        positional(1, 'x');
+        throw new Error('Should have failed validation');
+    } catch (e) {
+        console.assert(
+            e.errors.map(err => err.rule).join() === 'arguments,type,coerce',
+            'Positional failures should be collected'
+        );
+    }
+
+    try {
+        failFast(1, 'x');
+        throw new Error('Should have failed validation');
+    } catch (e) {
+        console.assert(
+            e.errors.length === 1 && e.path === 'Argument 0',
+            'Per-method option should override global setting'
+        );
+    }
+
+    // Errors stay serializable for API responses
+    console.assert(
+        typeof JSON.stringify(new ValidationError('test', { path: 'a' })) === 'string',
+        'ValidationError should be serializable'
+    );
+
+    console.log('✓ Collect errors globally test passed');
+} catch (e) {
+    console.error('✗ Collect errors globally test failed:', e.message);
+} finally {
+    ValidatedMethod.collectErrors = false;
+}
+
+// Test: Method names, length and source
+try {
+    function createUser({ name, title }) {
+        return `${name}, ${title}`;
+    }
+    const create = new ValidatedMethod({ name: 'string', title: 'string' }, createUser, 'string');
+    const add = new ValidatedMethod(['int', 'int', ['int', 'optional']], (a, b) => a + b, 'int', { name: 'add' });
+    const anonymous = new ValidatedMethod({ name: 'string' }, opts => opts);
+    const noArgs = new ValidatedMethod(undefined, () => 1);
+    const options = new ValidatedMethod({ page: ['int', 'optional'] }, opts => opts);
+
+    console.assert(
+        create.name === 'createUser' && create.length === 1 &&
+        create.toString() === createUser.toString() &&
+        add.name === 'add' && add.length === 2 &&
+        anonymous.name === '' && noArgs.length === 0 && options.length === 0,
+        'Wrapper should carry the callback name, length and source'
+    );
+
+    const checks = [
+        [() => create({ name: 'Ann' }), 'createUser: Missing required parameter: title'],
+        [() => add(1, 'x'), 'add: Cannot convert x to number for Argument 1'],
+        [() => new ValidatedMethod('int', function double(n) { return 'x'; }, 'int')(1),
+            'double: Return value x does not match type int'],
+        [() => anonymous({ name: 1 }), 'Expected string, got number for name']
+    ];
+    for (const [call, message] of checks) {
+        try {
+            call();
+            throw new Error(`Expected failure: ${message}`);
+        } catch (e) {
+            if (e.message !== message) throw new Error(`Unexpected error: ${e.message}`);
+        }
+    }
+
+    // Collected errors are prefixed along with the aggregate
+    const collect = new ValidatedMethod({ a: 'int', b: 'int' }, opts => opts, undefined,
+        { name: 'collect', collectErrors: true });
+    try {
+        collect({});
+        throw new Error('Expected failure');
+    } catch (e) {
+        if (!e.message.startsWith('collect: 2 validation errors') ||
+            e.errors[0].message !== 'collect: Missing required parameter: a') {
+            throw new Error(`Unexpected error: ${e.message}`);
+        }
+    }
+
+    try {
+        new ValidatedMethod('int', n => n, undefined, { name: 42 });
+        throw new Error('Invalid name accepted');
+    } catch (e) {
+        if (e.message !== 'Method name must be a string') throw e;
+    }
+    console.log('✓ Method name test passed');
+} catch (e) {
+    console.error('✗ Method name test failed:', e.message);
+}
+
+// Test: Safe validation results
+try {
+    let calls = 0;
+    const save = new ValidatedMethod({ name: 'string', age: 'int' }, function saveUser(opts) {
+        calls++;
+        return opts;
+    });
+
+    const input = { name: 'Ann', age: '42' };
+    const valid = save.validate(input);
+    if (!valid.ok || valid.value.age !== 42 || input.age !== '42') {
+        throw new Error(`Unexpected valid result: ${JSON.stringify(valid)}`);
+    }
+
+    // Every failure is returned, unprefixed, without throwing or calling the callback
+    const invalid = save.validate({ name: 1 });
+    if (invalid.ok || invalid.value !== undefined || invalid.errors.length !== 2 ||
+        !invalid.errors.every(e => e instanceof ValidationError) ||
+        invalid.errors.map(e => e.path).join() !== 'name,age' ||
+        invalid.errors[0].message !== 'Expected string, got number for name') {
+        throw new Error(`Unexpected invalid result: ${JSON.stringify(invalid)}`);
+    }
+    if (calls !== 0) throw new Error('validate() should not call the callback');
+    if (save.validate(undefined).errors[0].message !== 'Parameters must be provided as an object') {
+        throw new Error('Missing params should be reported');
+    }
+
+    // Positional methods take the argument list
+    const add = new ValidatedMethod(['int', 'int'], (a, b) => a + b);
+    const args = ['1', '2'];
+    if (add.validate(args).value.join() !== '1,2' || args[0] !== '1' ||
+        add.validate(['1', 'x']).errors[0].path !== 'Argument 1' ||
+        add.validate(3).errors[0].rule !== 'type') {
+        throw new Error('Positional validate() failed');
+    }
+
+    // check() validates a value against a schema without a method
+    const checks = [
+        [ValidatedMethod.check('int', '5'), { ok: true, value: 5 }],
+        [ValidatedMethod.check({ value: 'email' }, 'a@b.co'), { ok: true, value: 'a@b.co' }],
+        [ValidatedMethod.check(['string', 'int'], ['a', '2']), { ok: true, value: ['a', 2] }],
+        [ValidatedMethod.check({ port: { type: 'int', min: 1 } }, { port: '80' }), { ok: true, value: { port: 80 } }],
+        [ValidatedMethod.check({ type: 'int', min: 0 }, '5'), { ok: true, value: 5 }]
+    ];
+    for (const [result, expected] of checks) {
+        if (JSON.stringify(result) !== JSON.stringify(expected)) {
+            throw new Error(`Unexpected check result: ${JSON.stringify(result)}`);
+        }
+    }
+    const port = ValidatedMethod.check({ port: 'int' }, { port: '80', host: 1 }, { unexpected: 'throw' });
+    if (port.ok || port.errors[0].rule !== 'unexpected') {
+        throw new Error(`Options should apply to check(): ${JSON.stringify(port)}`);
+    }
+
+    const negative = ValidatedMethod.check({ type: 'int', min: 0 }, -1);
+    if (negative.ok || negative.errors[0].rule !== 'min') {
+        throw new Error(`Lone descriptors should check the value: ${JSON.stringify(negative)}`);
+    }
+
+    // Throwing validators are reported, not thrown
+    const thrown = ValidatedMethod.check({ a: () => { throw new Error('boom'); } }, { a: 1 });
+    if (thrown.ok || thrown.errors[0].message !== 'Validator failed for a: boom' ||
+        thrown.errors[0].cause?.message !== 'boom') {
+        throw new Error(`Unexpected thrown validator result: ${JSON.stringify(thrown)}`);
+    }
+
+    // Patterns and nested schemas are checked in positional slots too
+    const unchecked = [
+        [ValidatedMethod.check(/^\d+$/, 'abc'), 'Argument 0'],
+        [ValidatedMethod.check([{ a: 'int' }], [{ a: 'x' }]), 'Argument 0.a'],
+        [new ValidatedMethod([{ a: 'int' }], opts => opts).validate([{ a: 'zzz' }]), 'Argument 0.a']
+    ];
+    for (const [result, path] of unchecked) {
+        if (result.ok || result.errors[0].path !== path) {
+            throw new Error(`Positional slot should be checked: ${JSON.stringify(result)}`);
+        }
+    }
+    if (ValidatedMethod.check([{ a: 'int' }], [{ a: '3' }]).value[0].a !== 3) {
+        throw new Error('Positional nested schema should coerce');
+    }
+
+    // Throwing transforms and registered type checks are reported, not thrown
+    ValidatedMethod.defineType('explosive', { check: () => { throw new Error('bang'); } });
+    const failures = [
+        [ValidatedMethod.check({ a: { type: 'string', transform: () => { throw new Error('boom'); } } }, { a: 'x' }),
+            'Transform failed for a: boom', 'transform'],
+        [ValidatedMethod.check({ a: 'explosive' }, { a: 1 }), 'Expected explosive, got number for a', 'type']
+    ];
+    for (const [result, message, rule] of failures) {
+        if (result.ok || result.errors[0].message !== message || result.errors[0].rule !== rule ||
+            !(result.errors[0].cause instanceof Error)) {
+            throw new Error(`Unexpected thrown ${rule} result: ${JSON.stringify(result)}`);
+        }
+    }
+
+    // Hooks don't run during validate()
+    let hooked = 0;
+    const hooks = { onUnexpectedParameter: () => hooked++, onValidationError: () => hooked++ };
+    const strict = new ValidatedMethod({ a: 'int' }, opts => opts, undefined, { hooks, unexpected: 'throw' });
+    if (strict.validate({ a: 'x', b: 1 }).errors.length !== 2 || hooked !== 0) {
+        throw new Error('validate() should not run hooks');
+    }
+
+    // Async validators resolve to a result
+    const pending = ValidatedMethod.check({ id: async id => id > 0 }, { id: 0 });
+    if (!(pending instanceof Promise)) throw new Error('Async check should return a Promise');
+    const resolved = await pending;
+    if (resolved.ok || resolved.errors[0].rule !== 'validator') {
+        throw new Error(`Unexpected async result: ${JSON.stringify(resolved)}`);
+    }
+    console.log('✓ Safe validation test passed');
+} catch (e) {
+    console.error('✗ Safe validation test failed:', e.message);
+}
@@ -68,19 +68,140 @@ try {
             'Should reject falsy validator returns');
     }
 
-    // Test 3: Async validator rejection
-    try {
-        new ValidatedMethod(
-            async val => true,
-            val => val
-        )('test');
-        throw new Error('Should reject async validator');
-    } catch (e) {
-        console.assert(e.message.includes('must be synchronous'),
-            'Should explicitly reject async validators');
-    }
+    // Test 3: Async validator returns a Promise
+    const asyncResult = new ValidatedMethod(
+        async val => true,
+        val => val
+    )('test');
+    console.assert(asyncResult instanceof Promise,
+        'Should return a Promise for async validators');
 
     console.log('✓ Validator edge cases test passed');
 } catch (e) {
     console.error('✗ Validator edge cases test failed:', e.message);
 }
+
+// Test: Async Validator Functions
+async function runAsyncValidatorTests() {
+    try {
+        const taken = new Set(['admin']);
+        const isAvailable = async name => !taken.has(name);
+        let calls = 0;
+
+        const register = new ValidatedMethod({
+            username: isAvailable,
+            age: 'int'
+        }, opts => {
+            calls++;
+            return opts;
+        });
+
+        const result = await register({ username: 'besworks', age: '40' });
+        console.assert(
+            result.username === 'besworks' && result.age === 40,
+            'Async validator should resolve before callback'
+        );
+
+        try {
+            await register({ username: 'admin', age: 40 });
+            throw new Error('Should have failed async validation');
+        } catch (e) {
+            if (!e.message.includes('failed validation for username')) {
+                throw new Error(`Wrong error for async validation: ${e.message}`);
+            }
+        }
+        console.assert(calls === 1, 'Callback should not run after failed async validation');
+
+        // Sync failures are still thrown synchronously
+        try {
+            register({ username: 'other', age: 'old' });
+            throw new Error('Should have failed sync validation');
+        } catch (e) {
+            if (!e.message.includes('Cannot convert old to number')) {
+                throw new Error(`Wrong error for sync validation: ${e.message}`);
+            }
+        }
+
+        // A failing async validator left behind by a sync failure is not an unhandled rejection
+        const unhandled = [];
+        const onUnhandled = e => unhandled.push(e);
+        process.on('unhandledRejection', onUnhandled);
+        try {
+            new ValidatedMethod({ a: async () => false, b: 'int' }, opts => opts)({ a: 1, b: 'x' });
+            throw new Error('Should have failed sync validation');
+        } catch (e) {
+            if (!e.message.includes('Cannot convert x to number for b')) {
+                throw new Error(`Wrong error for mixed validation: ${e.message}`);
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+        process.off('unhandledRejection', onUnhandled);
+        if (unhandled.length) {
+            throw new Error(`Unhandled async validator rejection: ${unhandled[0].message}`);
+        }
+
+        // Positional async validators
+        const lookup = new ValidatedMethod(
+            ['string', async id => id > 0],
+            (name, id) => `${name}:${id}`
+        );
+        console.assert(
+            await lookup('test', 42) === 'test:42',
+            'Positional async validator failed'
+        );
+        try {
+            await lookup('test', -1);
+            throw new Error('Should have failed positional async validation');
+        } catch (e) {
+            if (!e.message.includes('Argument 1: Value "-1" failed validation')) {
+                throw new Error(`Wrong error for positional async validation: ${e.message}`);
+            }
+        }
+
+        // Sync schemas keep the sync fast path
+        const sync = new ValidatedMethod('string', str => str.length);
+        console.assert(sync('test') === 4, 'Sync schemas should return directly');
+
+        console.log('✓ Async validator function test passed');
+    } catch (e) {
+        console.error('✗ Async validator function test failed:', e.message);
+    }
+
+    try {
+        const isStored = async value => value === 'stored';
+
+        const save = new ValidatedMethod('string', str => str, isStored);
+        const saved = save('stored');
+        console.assert(saved instanceof Promise, 'Async return validator should return a Promise');
+        console.assert(await saved === 'stored', 'Async return validator should resolve the result');
+
+        try {
+            await save('lost');
+            throw new Error('Should have failed async return validation');
+        } catch (e) {
+            if (!e.message.includes('does not match type custom validator')) {
+                throw new Error(`Wrong error for async return validation: ${e.message}`);
+            }
+        }
+
+        const saveAsync = new ValidatedMethod('string', async str => str, ['number', isStored]);
+        console.assert(
+            await saveAsync('stored') === 'stored',
+            'Async return validator in union failed'
+        );
+        try {
+            await saveAsync('lost');
+            throw new Error('Should have failed async union return validation');
+        } catch (e) {
+            if (!e.message.includes('does not match any of')) {
+                throw new Error(`Wrong error for async union return validation: ${e.message}`);
+            }
+        }
+
+        console.log('✓ Async return validator test passed');
+    } catch (e) {
+        console.error('✗ Async return validator test failed:', e.message);
+    }
+}
+
+runAsyncValidatorTests();
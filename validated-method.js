@@ -1,8 +1,21 @@
 export class ValidatedMethod {
     #callback = () => {};
     #args = {};
+    #options = {};
+    #returnType;
+    #name = '';
+    #calls = 0;
+    #check;
 
     static #quiet = false;
+    static #collectErrors = false;
+    static #types = new Map();
+    static #hooks = Object.freeze({});
+    static #mode = 'full';
+    static #sampleRate = 100;
+    static #compile = true;
+    static #mutate = false;
+    static #coercion = 'lenient';
 
     static get quiet() {
         return this.#quiet;
@@ -12,7 +25,128 @@ export class ValidatedMethod {
         this.#quiet = !!value;
     }
 
-    constructor(args, callback, returnType) {
+    static get collectErrors() {
+        return this.#collectErrors;
+    }
+
+    static set collectErrors(value) {
+        this.#collectErrors = !!value;
+    }
+
+    static get mode() {
+        return this.#mode;
+    }
+
+    static set mode(value) {
+        this.#mode = checkMode(value);
+    }
+
+    static get sampleRate() {
+        return this.#sampleRate;
+    }
+
+    static set sampleRate(value) {
+        this.#sampleRate = checkSampleRate(value);
+    }
+
+    static get mutate() {
+        return this.#mutate;
+    }
+
+    static set mutate(value) {
+        this.#mutate = !!value;
+    }
+
+    static get coercion() {
+        return this.#coercion;
+    }
+
+    static set coercion(value) {
+        this.#coercion = checkCoercion(value);
+    }
+
+    static get compile() {
+        return this.#compile;
+    }
+
+    static set compile(value) {
+        this.#compile = checkCompile(value);
+    }
+
+    static get hooks() {
+        return this.#hooks;
+    }
+
+    // Keep a frozen copy so hooks can't be swapped without being checked
+    static set hooks(value) {
+        this.#hooks = Object.freeze({ ...checkHooks(value ?? {}) });
+    }
+
+    static defineType(name, definition) {
+        if (typeof name !== 'string' || !name) {
+            throw new TypeError('Type name must be a non-empty string');
+        }
+        if (BUILT_IN_TYPES.includes(name) || elementTypeOf(name) !== undefined) {
+            throw new TypeError(`Cannot redefine built-in type '${name}'`);
+        }
+        if (typeof definition?.check !== 'function') {
+            throw new TypeError(`Type '${name}' must define a check function`);
+        }
+        if (definition.coerce !== undefined && typeof definition.coerce !== 'function') {
+            throw new TypeError(`Coerce for type '${name}' must be a function`);
+        }
+        const { check, coerce, describe = name } = definition;
+        this.#types.set(name, { check, coerce, describe });
+    }
+
+    static check(schema, value, options) {
+        // A lone type or descriptor checks the value itself rather than a list of arguments
+        if (Array.isArray(schema) || isPlainObject(schema) && !isDescriptor(schema)) {
+            return new ValidatedMethod(schema, () => {}, undefined, options).validate(value);
+        }
+        const method = new ValidatedMethod([schema], () => {}, undefined, options);
+        const settle = result => result.ok ? { ok: true, value: result.value[0] } : result;
+        const result = method.validate([value]);
+        return result instanceof Promise ? result.then(settle) : settle(result);
+    }
+
+    static wrapPrototype(target, name, args, returnType, options) {
+        const descriptor = Object.getOwnPropertyDescriptor(target.prototype, name);
+        if (typeof descriptor?.value !== 'function') {
+            throw new TypeError(`${target.name}.prototype.${String(name)} is not a method`);
+        }
+        const method = new ValidatedMethod(args, descriptor.value, returnType, options);
+        Object.defineProperty(target.prototype, name, { ...descriptor, value: method });
+        return method;
+    }
+
+    constructor(args, callback, returnType, options = {}) {
+        if (options.unexpected !== undefined &&
+            !['warn', 'ignore', 'strip', 'throw'].includes(options.unexpected)) {
+            throw new TypeError(`Unexpected parameter policy must be 'warn', 'ignore', 'strip' or 'throw'`);
+        }
+        if (options.name !== undefined && typeof options.name !== 'string') {
+            throw new TypeError('Method name must be a string');
+        }
+        if (options.hooks !== undefined) {
+            checkHooks(options.hooks);
+        }
+        if (options.mode !== undefined) {
+            checkMode(options.mode);
+        }
+        if (options.sampleRate !== undefined) {
+            checkSampleRate(options.sampleRate);
+        }
+        if (options.compile !== undefined) {
+            checkCompile(options.compile);
+        }
+        if (options.coercion !== undefined) {
+            checkCoercion(options.coercion);
+        }
+        this.#options = options;
+        this.#name = options.name ?? callback?.name ?? '';
+        this.#returnType = returnType;
+
         // Handle zero-parameter case
         if (args === undefined || args === null || args === 'void' || 
             (Array.isArray(args) && args.length === 0)) {
@@ -20,16 +154,18 @@ export class ValidatedMethod {
                 _values: [],
                 _isArraySchema: true 
             };
-            this.#callback = (opts) => callback();
+            this.#callback = (opts, receiver) => callback.call(receiver);
         }
         // Handle string type, array of types, or custom type for unnamed parameters
-        else if (typeof args === 'string' || Array.isArray(args) || typeof args === 'function') {
+        else if (typeof args === 'string' || Array.isArray(args) || typeof args === 'function' ||
+                 args instanceof ArrayOf || enumValuesOf(args) !== undefined) {
             const types = Array.isArray(args) ? args : [args];
             this.#args = { 
                 _values: types,
                 _isArraySchema: true 
             };
-            this.#callback = (opts) => callback(...opts._values);
+            if (STRICT_SCHEMAS.has(args)) STRICT_SCHEMAS.add(this.#args);
+            this.#callback = (opts, receiver) => callback.call(receiver, ...opts._values);
         }
         else if (typeof args !== 'object') {
             throw new TypeError('Arguments must be an object, string type, array of types, or class constructor');
@@ -39,60 +175,262 @@ export class ValidatedMethod {
                 throw new TypeError('Arguments must be an object, string type, or array of types');
             }
             this.#args = args;
-            this.#callback = callback;
+            this.#callback = (opts, receiver) => callback.call(receiver, opts);
         }
 
+        // Compile the schema once so calls don't re-walk it
+        const compile = options.compile ?? ValidatedMethod.compile;
+        const interpret = (opts, context) => this.#validate(opts, this.#args, '', context);
+        const compiled = compile !== false && this.#compileParams(this.#args, compile !== 'safe');
+
+        // Fast paths pass real numbers and booleans untouched, which a custom policy may not
+        this.#check = compiled
+            ? (opts, context) => typeof this.#coercionPolicy() === 'string' ? compiled(opts, context) : interpret(opts, context)
+            : interpret;
+
+        // Validate a return value, waiting for async return validators before resolving
+        const checkReturn = (value, sampled) => {
+            let validated;
+            try {
+                validated = this.#validateReturn(value, returnType);
+            } catch (e) {
+                this.#reject('onReturnMismatch', e, sampled);
+            }
+            if (validated instanceof Promise) {
+                return validated.then(() => value, e => {
+                    this.#reject('onReturnMismatch', e, sampled);
+                    return value;
+                });
+            }
+            return value;
+        };
+
         // Wrap callback to validate return type if specified
-        const wrappedCallback = returnType ? (opts) => {
-            const result = this.#callback(opts);
+        const wrappedCallback = returnType ? (opts, receiver, sampled) => {
+            const result = this.#callback(opts, receiver);
             
             // Handle Promise return types
             if (result instanceof Promise) {
-                return result.then(value => {
-                    this.#validateReturn(value, returnType);
-                    return value;
-                });
+                return result.then(value => checkReturn(value, sampled));
             }
-            
-            this.#validateReturn(result, returnType);
-            return result;
+            return checkReturn(result, sampled);
         } : this.#callback;
 
-        // Return a bound function that validates and calls
-        return Object.assign(
-            (...params) => {
-                // Handle array schema case
-                if (this.#args._isArraySchema) {
-                    const opts = { _values: params };
-                    if (this.#validate(opts, this.#args)) {
-                        return wrappedCallback(opts);
-                    }
-                }
-                // Handle single parameter case
-                else if (typeof this.#args.value === 'string' && Object.keys(this.#args).length === 1) {
-                    const opts = { value: params[0] };
-                    if (this.#validate(opts, this.#args)) {
-                        return wrappedCallback(opts);
-                    }
-                }
-                // Handle original object case
-                else {
-                    if (this.#validate(params[0], this.#args)) {
-                        return wrappedCallback(params[0] || {});
-                    }
-                }
+        // Report validated params and results to hooks around the call
+        const invoke = (mode, opts, receiver) => {
+            const params = this.#args._isArraySchema ? opts._values : opts;
+            this.#runHooks('beforeCall', params, { name: this.#name, receiver });
+            const result = mode === 'params-only'
+                ? this.#callback(opts, receiver)
+                : wrappedCallback(opts, receiver, mode === 'sample');
+            const after = value => {
+                this.#runHooks('afterCall', value, { name: this.#name, receiver });
+                return value;
+            };
+            return result instanceof Promise ? result.then(after) : after(result);
+        };
+
+        // Validate, then call synchronously unless async validators are pending. The callback
+        // gets the normalized params, or the originals when a sampled validation failed
+        const validateAndCall = (mode, receiver, opts, fallback = opts) => {
+            const sampled = mode === 'sample';
+            let normalized = fallback;
+            try {
+                normalized = this.#validateParams(opts, receiver);
+            } catch (e) {
+                this.#reject('onValidationError', e, sampled);
+            }
+            if (normalized instanceof Promise) {
+                return normalized
+                    .catch(e => {
+                        this.#reject('onValidationError', e, sampled);
+                        return fallback;
+                    })
+                    .then(result => invoke(mode, result, receiver));
+            }
+            return invoke(mode, normalized, receiver);
+        };
+
+        const single = this.#isSingle();
+
+        const call = (receiver, params) => {
+            const mode = this.#options.mode ?? ValidatedMethod.mode;
+
+            // Call straight through when validation is off or this call isn't sampled
+            if (mode === 'off' || (mode === 'sample' && !this.#sample())) {
+                const opts = this.#args._isArraySchema ? { _values: params }
+                    : (single ? { value: params[0] } : params[0] || {});
+                return this.#callback(opts, receiver);
+            }
+
+            // Handle array schema case
+            if (this.#args._isArraySchema) {
+                return validateAndCall(mode, receiver, { _values: params });
+            }
+            // Handle single parameter case
+            else if (single) {
+                return validateAndCall(mode, receiver, { value: params[0] });
+            }
+            // Handle original object case
+            else {
+                // Omitted all-optional params are validated as an empty object to fill defaults
+                const opts = params[0] || (this.#allOptional(this.#args) ? {} : params[0]);
+                return validateAndCall(mode, receiver, opts, opts || {});
+            }
+        };
+
+        // Return a function that validates and calls, passing its receiver through as `this`
+        const method = Object.assign(
+            function (...params) {
+                return call(this, params);
             },
-            { originalMethod: this }
+            { originalMethod: this, describe: () => this.describe(), validate: params => this.validate(params) }
         );
+        Object.defineProperty(method, 'schema', { get: () => this.describe(), enumerable: true });
+
+        // Look like the wrapped function to stack traces and introspection
+        Object.defineProperties(method, {
+            name: { value: this.#name, configurable: true },
+            length: { value: this.#arity(), configurable: true },
+            toString: { value: () => Function.prototype.toString.call(callback), configurable: true, writable: true }
+        });
+        return method;
+    }
+
+    #isSingle() {
+        return !this.#args._isArraySchema &&
+            typeof this.#args.value === 'string' && Object.keys(this.#args).length === 1;
+    }
+
+    #arity() {
+        // Count required arguments the way function length does
+        if (this.#args._isArraySchema) {
+            return this.#args._values.findLastIndex(type => !this.#isOptional(type)) + 1;
+        }
+        if (typeof this.#args.value === 'string' && Object.keys(this.#args).length === 1) {
+            return 1;
+        }
+        return this.#allOptional(this.#args) ? 0 : 1;
+    }
+
+    #failed(hook, e) {
+        if (!(e instanceof ValidationError)) return e;
+
+        // Prefix validation failures with the method name
+        if (this.#name) {
+            for (const error of new Set([e, ...e.errors])) {
+                error.message = `${this.#name}: ${error.message}`;
+            }
+        }
+
+        // Hooks may replace the error, per-method hooks run before global ones
+        for (const fn of this.#hooksFor(hook)) {
+            e = fn(e, { name: this.#name }) ?? e;
+        }
+        return e;
+    }
+
+    #reject(hook, e, sampled) {
+        const error = this.#failed(hook, e);
+
+        // Sampled failures are reported without interrupting the call
+        if (sampled && e instanceof ValidationError) {
+            if (!this.#hooksFor(hook).length && !ValidatedMethod.quiet) {
+                console.warn(error.message);
+            }
+            return;
+        }
+        throw error;
+    }
+
+    #sample() {
+        const rate = this.#options.sampleRate ?? ValidatedMethod.sampleRate;
+        return this.#calls++ % rate === 0;
+    }
+
+    #hooksFor(hook) {
+        return [this.#options.hooks?.[hook], ValidatedMethod.hooks[hook]].filter(Boolean);
+    }
+
+    #runHooks(hook, ...args) {
+        const local = this.#options.hooks?.[hook];
+        const global = ValidatedMethod.hooks[hook];
+        local?.(...args);
+        global?.(...args);
+        return !!(local || global);
+    }
+
+    validate(params) {
+        const schema = this.#args;
+        const single = this.#isSingle();
+        const context = { errors: [], pending: [], silent: true };
+        let opts;
+        if (schema._isArraySchema) {
+            if (!Array.isArray(params)) {
+                const error = new ValidationError(`Expected array of arguments, got ${describeValue(params)}`, {
+                    expected: 'array', value: params, rule: 'type'
+                });
+                return { ok: false, errors: [error] };
+            }
+            opts = { _values: [...params] };
+        } else if (single) {
+            opts = { value: params };
+        } else {
+            opts = params ?? (this.#allOptional(schema) ? {} : params);
+        }
+
+        // Collect every failure instead of throwing, waiting for async validators
+        const settle = normalized => {
+            if (context.errors.length) return { ok: false, errors: context.errors };
+            const value = schema._isArraySchema ? normalized._values : (single ? normalized.value : normalized);
+            return { ok: true, value };
+        };
+        let normalized;
+        try {
+            normalized = this.#check(opts, context);
+        } catch (e) {
+            this.#collect(context, e);
+        }
+        if (context.pending.length) {
+            return Promise.all(
+                context.pending.map(check => check.catch(e => this.#collect(context, e)))
+            ).then(() => settle(normalized));
+        }
+        return settle(normalized);
+    }
+
+    describe() {
+        let params;
+        if (this.#args._isArraySchema) {
+            params = {
+                type: 'tuple',
+                items: this.#args._values.map(type => describeType(type, this.#options.unexpected)),
+                // Zero parameter functions always reject arguments
+                unexpected: this.#args._values.length ? this.#unexpectedPolicy(this.#args, 'ignore') : 'throw'
+            };
+        } else if (this.#isSingle()) {
+            // A single parameter is passed bare, and arguments after it are never read
+            params = { type: 'tuple', items: [describeType(this.#args.value, this.#options.unexpected)], unexpected: 'ignore' };
+        } else {
+            params = describeObject(this.#args, this.#options.unexpected ?? 'warn');
+        }
+        return {
+            params,
+            returns: this.#returnType ? describeType(this.#returnType) : undefined
+        };
     }
 
     #validateNumber(value, key, strict = false) {
         if (strict && typeof value !== 'number') {
-            throw new TypeError(`Expected number, got ${typeof value} for ${key}`);
+            throw new ValidationError(`Expected number, got ${typeof value} for ${key}`, {
+                path: key, expected: 'number', value, rule: 'type'
+            });
         }
-        const num = parseFloat(value);
-        if (isNaN(num)) {
-            throw new TypeError(`Cannot convert ${value} to number for ${key}`);
+        const num = this.#policy().number(value);
+        if (typeof num !== 'number' || isNaN(num)) {
+            throw new ValidationError(`Cannot convert ${value} to number for ${key}`, {
+                path: key, expected: 'number', value, rule: 'coerce'
+            });
         }
         return num;
     }
@@ -100,219 +438,908 @@ export class ValidatedMethod {
     #validateInteger(value, key, type) {
         const num = this.#validateNumber(value, key, type === 'strictint');
         if (type === 'strictint' && !Number.isInteger(num)) {
-            throw new TypeError(`Expected integer, got ${num} for ${key}`);
+            throw new ValidationError(`Expected integer, got ${num} for ${key}`, {
+                path: key, expected: 'integer', value, rule: 'type'
+            });
+        }
+        if (type === 'roundint') return Math.round(num);
+        const int = this.#policy().int(num);
+        if (typeof int !== 'number' || isNaN(int)) {
+            throw new ValidationError(`Expected integer, got ${num} for ${key}`, {
+                path: key, expected: 'integer', value, rule: 'type'
+            });
+        }
+        return int;
+    }
+
+    #coercionPolicy() {
+        return this.#options.coercion ?? ValidatedMethod.coercion;
+    }
+
+    #policy() {
+        const policy = this.#coercionPolicy();
+        if (typeof policy === 'string') return COERCIONS[policy];
+
+        // Returned booleans follow a custom boolean coercion unless told otherwise
+        const isBoolean = policy.isBoolean ??
+            (policy.boolean && (value => typeof policy.boolean(value) === 'boolean'));
+        return { ...COERCIONS.lenient, ...policy, ...(isBoolean && { isBoolean }) };
+    }
+
+    #validateParams(opts, receiver) {
+        const collect = this.#options.collectErrors ?? ValidatedMethod.collectErrors;
+        const context = { errors: collect ? [] : null, pending: [] };
+
+        // Check the receiver before the parameters
+        if (this.#options.this !== undefined) {
+            try {
+                this.#validateValue(receiver, this.#options.this, 'this', context);
+            } catch (e) {
+                this.#collect(context, e);
+            }
+        }
+        let normalized;
+        try {
+            normalized = this.#check(opts, context);
+        } catch (e) {
+            // The sync failure wins, so async checks still running must not reject unhandled
+            context.pending.forEach(check => check.catch(() => {}));
+            throw e;
+        }
+
+        // Wait for async validators before reporting
+        if (context.pending.length) {
+            return Promise.all(
+                context.pending.map(check => check.catch(e => this.#collect(context, e)))
+            ).then(() => {
+                this.#reportErrors(context.errors, opts);
+                return normalized;
+            });
+        }
+        this.#reportErrors(context.errors, opts);
+        return normalized;
+    }
+
+    #reportErrors(errors, opts) {
+        // Report every collected failure at once
+        if (errors?.length === 1) {
+            throw errors[0];
+        }
+        if (errors?.length > 1) {
+            throw new ValidationError(
+                `${errors.length} validation errors: ${errors.map(e => e.message).join('; ')}`,
+                { value: opts, rule: 'multiple', errors }
+            );
         }
-        return type === 'roundint' ? Math.round(num) : Math.floor(num);
+        return true;
+    }
+
+    #collect(context, e) {
+        // Rethrow unless collecting validation failures
+        if (!context.errors || !(e instanceof ValidationError)) throw e;
+        context.errors.push(...e.errors);
     }
 
-    #validateArrayTypes(values, types) {
+    #compileParams(args, generate) {
+        if (args._isArraySchema) {
+            const types = args._values;
+            const slots = types.map((type, index) => {
+                const fast = this.#fastCheck(type, true);
+                return (values, context) => {
+                    if (!fast?.(values[index])) this.#validateArgument(values, type, index, context);
+                };
+            });
+            const required = types.findLastIndex(type => !this.#isOptional(type)) + 1;
+            return (opts, context) => {
+                this.#validateArrayTypes(opts._values, types, context, { required, slots });
+                return opts;
+            };
+        }
+        const validate = this.#compileSchema(args, generate);
+        return (opts, context) => validate(opts, '', context);
+    }
+
+    #compileSchema(schema, generate) {
+        const entries = Object.entries(schema).map(([key, validator]) => [key, this.#compileValue(validator, generate)]);
+        const known = new Set(Object.keys(schema));
+        const policy = this.#unexpectedPolicy(schema, 'warn');
+        const collect = (context, e) => this.#collect(context, e);
+        const copy = (target, source) => this.#copyOnWrite(target, source);
+
+        // Prefer generated code with inlined checks, falling back to a loop over the compiled checks
+        const checkEntries = (generate && generateEntries(schema, entries, collect, copy)) || ((opts, path, context) => {
+            let target = opts;
+            for (const [key, check] of entries) {
+                const value = opts[key];
+                try {
+                    const result = check(value, `${path}${key}`, context);
+                    if (result !== value) {
+                        target = copy(target, opts);
+                        target[key] = result; // Store coerced value
+                    }
+                } catch (e) {
+                    collect(context, e);
+                }
+            }
+            return target;
+        });
+
+        return (opts, path, context) => {
+            // Missing params and non-objects are reported by the interpreter
+            if (!opts || typeof opts !== 'object') {
+                return this.#validate(opts, schema, path, context);
+            }
+
+            let stripped;
+            for (const key in opts) {
+                if (Object.hasOwn(opts, key) && !known.has(key)) {
+                    this.#unexpected(`Unexpected parameter: ${path}${key}`, `${path}${key}`, opts[key], policy, context);
+                    if (policy === 'strip') (stripped ??= []).push(key);
+                }
+            }
+            return this.#strip(checkEntries(opts, path, context), opts, stripped);
+        };
+    }
+
+    #compileValue(validator, generate) {
+        // Anything without a faster equivalent is handled by the interpreter
+        const interpret = (value, key, context) => this.#validateValue(value, validator, key, context);
+
+        if (isDescriptor(validator)) {
+            const check = this.#compileValue(validator.type, generate);
+            const constrained = CONSTRAINT_KEYS.some(key => validator[key] !== undefined);
+            const hasDefault = 'default' in validator;
+            const { transform } = validator;
+            return (value, key, context) => {
+                if (value === undefined && hasDefault) return copyDefault(validator.default);
+                const result = check(value, key, context);
+                if (constrained) this.#checkConstraints(result, validator, key);
+                return transform && result !== undefined ? this.#transform(transform, result, key) : result;
+            };
+        }
+
+        if (Array.isArray(validator)) {
+            const types = validator.filter(v => !MODIFIERS.includes(v));
+            const optional = this.#isOptional(validator);
+            const nullable = validator.includes('nullable');
+            const member = types.length === 1 ? this.#compileValue(types[0], generate) : null;
+            const checks = types.map(type => this.#fastCheck(type)).filter(Boolean);
+            return (value, key, context) => {
+                if (value === undefined) return optional ? value : interpret(value, key, context);
+                if (value === null && nullable) return value;
+                if (member) return member(value, key, context);
+
+                // A member accepting the value unchanged wins, as in the interpreter
+                return checks.some(check => check(value)) ? value : interpret(value, key, context);
+            };
+        }
+
+        if (isPlainObject(validator)) {
+            const validate = this.#compileSchema(validator, generate);
+            return (value, key, context) => {
+                if (value === null || typeof value !== 'object') return interpret(value, key, context);
+                return validate(value, `${key}.`, context);
+            };
+        }
+
+        const items = elementTypeOf(validator);
+        if (items !== undefined) {
+            const check = this.#compileValue(items, generate);
+            return (value, key, context) => {
+                if (!Array.isArray(value)) return interpret(value, key, context);
+                let target = value;
+                value.forEach((item, index) => {
+                    try {
+                        const result = check(item, `${key}[${index}]`, context);
+                        if (result !== item) {
+                            target = this.#copyOnWrite(target, value);
+                            target[index] = result;
+                        }
+                    } catch (e) {
+                        this.#collect(context, e);
+                    }
+                });
+                return target;
+            };
+        }
+
+        const fast = this.#fastCheck(validator);
+        return fast ? (value, key, context) => fast(value) ? value : interpret(value, key, context) : interpret;
+    }
+
+    #fastCheck(type, positional = false) {
+        // Classes are told apart from validator functions differently for positional arguments
+        if (typeof type === 'function') {
+            const isClass = positional
+                ? Object.getOwnPropertyDescriptor(type, 'prototype')?.writable === false
+                : !!type.prototype;
+            return isClass ? value => value instanceof type : null;
+        }
+        return FAST_CHECKS.get(type) ?? null;
+    }
+
+    #validateArrayTypes(values, types, context, { required: compiledRequired, slots } = {}) {
         // Handle zero parameter case
         if (types.length === 0) {
             if (values.length > 0) {
-                throw new TypeError(`Expected 0 arguments, got ${values.length}`);
+                throw new ValidationError(`Expected 0 arguments, got ${values.length}`, {
+                    expected: 0, received: values.length, value: values, rule: 'arguments'
+                });
             }
             return;
         }
 
-        // Check argument count
-        if (values.length < types.length) {
-            throw new TypeError(`Expected ${types.length} arguments, got ${values.length}`);
+        // Check argument count, trailing optional slots may be omitted
+        const required = compiledRequired ?? types.findLastIndex(type => !this.#isOptional(type)) + 1;
+        if (values.length < required) {
+            const expected = required === types.length ? required : `at least ${required}`;
+            this.#collect(context, new ValidationError(`Expected ${expected} arguments, got ${values.length}`, {
+                expected: required, received: values.length, value: values, rule: 'arguments'
+            }));
+        }
+
+        // Check surplus arguments, silently accepted unless a policy is set
+        const policy = this.#unexpectedPolicy(this.#args, 'ignore');
+        for (let index = types.length; index < values.length; index++) {
+            const key = `Argument ${index}`;
+            this.#unexpected(`Unexpected argument: ${key}`, key, values[index], policy, context);
+        }
+        if (policy === 'strip' && values.length > types.length) {
+            values.length = types.length;
         }
 
         // Validate each argument type
         types.forEach((type, index) => {
-            let value = values[index];
+            // Skip missing required arguments already reported above
+            if (index >= values.length && index < required) return;
+            try {
+                if (slots) {
+                    slots[index](values, context);
+                } else {
+                    this.#validateArgument(values, type, index, context);
+                }
+            } catch (e) {
+                this.#collect(context, e);
+            }
+        });
+    }
+
+    #unexpectedPolicy(schema, fallback) {
+        // Imported schemas that forbid extra keys throw whatever the method policy is
+        return STRICT_SCHEMAS.has(schema) ? 'throw' : this.#options.unexpected ?? fallback;
+    }
+
+    #unexpected(message, key, value, policy, context) {
+        // Hooks see every unexpected parameter and replace the console warning,
+        // except during validate() which runs no hooks
+        const hooked = !context.silent && this.#runHooks('onUnexpectedParameter', key, value, { name: this.#name, policy, message });
+        if (policy === 'throw') {
+            this.#collect(context, new ValidationError(message, { path: key, value, rule: 'unexpected' }));
+        } else if (policy === 'warn' && !hooked && !ValidatedMethod.quiet) {
+            console.warn(message);
+        }
+    }
+
+    #validateArgument(values, type, index, context) {
+        let value = values[index];
+        const key = `Argument ${index}`;
+
+        // Fill declared defaults for missing arguments
+        if (isDescriptor(type)) {
+            if (value === undefined && 'default' in type) {
+                values[index] = copyDefault(type.default);
+                return;
+            }
+            this.#validateArgument(values, type.type, index, context);
+            this.#checkConstraints(values[index], type, key);
+
+            // Apply transforms after type coercion
+            if (type.transform && values[index] !== undefined) {
+                values[index] = this.#transform(type.transform, values[index], key);
+            }
+            return;
+        }
+
+        // Skip validation of omitted optional arguments
+        if (value === undefined && this.#isOptional(type)) {
+            return;
+        }
+
+        // Handle union types, enums, typed arrays, patterns, nested schemas and registered types,
+        // validating and coercing each element
+        if (Array.isArray(type) || elementTypeOf(type) !== undefined || enumValuesOf(type) !== undefined ||
+            type instanceof RegExp || isPlainObject(type) || this.#definitionOf(type)) {
+            values[index] = this.#validateValue(value, type, key, context);
+            return;
+        }
+
+        if (type === 'optional') {
+            return;
+        }
+
+        if (type === 'array') {
+            if (!Array.isArray(value)) {
+                throw new ValidationError(`${key}: Expected Array, got ${typeof value}`, {
+                    path: key, expected: 'array', value, rule: 'type'
+                });
+            }
+            return;
+        }
+        
+        // Replace the validator function detection with:
+        if (typeof type === 'function') {
+            // Check if it's a class constructor by testing if prototype is writable
+            const isClass = Object.getOwnPropertyDescriptor(type, 'prototype')?.writable === false;
             
-            // Replace the validator function detection with:
-            if (typeof type === 'function') {
-                // Check if it's a class constructor by testing if prototype is writable
-                const isClass = Object.getOwnPropertyDescriptor(type, 'prototype')?.writable === false;
-                
-                if (!isClass) {
-                    // Handle validator function - use truthy/falsey evaluation
-                    try {
-                        const result = type(value);
-                        
-                        // Handle potential async validator
-                        if (result instanceof Promise) {
-                            throw new TypeError('Validator functions must be synchronous');
-                        }
-                        
-                        // Use standard JavaScript truthy/falsy evaluation
-                        if (!result) {
-                            throw new TypeError(`Argument ${index}: Value "${value}" failed validation`);
-                        }
-                        return;
-                    } catch (e) {
-                        // Propagate validator errors with proper context
-                        throw new TypeError(`Validator failed: ${e.message}`);
+            if (!isClass) {
+                // Handle validator function - use truthy/falsey evaluation
+                const failed = () => new ValidationError(`${key}: Value "${value}" failed validation`, {
+                    path: key, expected: 'custom validator', value, rule: 'validator'
+                });
+                // Propagate validator errors with proper context
+                const wrap = e => new ValidationError(`Validator failed: ${e.message}`, {
+                    path: key, expected: 'custom validator', value, rule: 'validator', cause: e
+                });
+
+                let result;
+                try {
+                    result = type(value);
+                } catch (e) {
+                    throw wrap(e);
+                }
+
+                // Defer async validators until all sync checks have run
+                if (result instanceof Promise) {
+                    context.pending.push(result.then(
+                        valid => { if (!valid) throw failed(); },
+                        e => { throw wrap(e); }
+                    ));
+                    return;
+                }
+
+                // Use standard JavaScript truthy/falsy evaluation
+                if (!result) {
+                    throw failed();
+                }
+                return;
+            }
+            // Handle class constructor
+            if (!(value instanceof type)) {
+                throw new ValidationError(`${key}: Expected ${type.name}, got ${value?.constructor?.name || typeof value}`, {
+                    path: key, expected: type.name, value, rule: 'instance'
+                });
+            }
+            return;
+        }
+
+        if (['int', 'roundint', 'strictint'].includes(type)) {
+            values[index] = this.#validateInteger(value, key, type);
+            return;
+        }
+
+        if (['float', 'strictfloat'].includes(type)) {
+            values[index] = this.#validateNumber(value, key, type === 'strictfloat');
+            return;
+        }
+
+        if ((type === 'null' || type === 'nullable') && value !== null) {
+            throw new ValidationError(`${key}: Expected null, got ${typeof value}`, {
+                path: key, expected: 'null', value, rule: 'type'
+            });
+        }
+
+        // Strict identifiers share their typeof name
+        if (type === 'strictboolean') type = 'boolean';
+        if (['any', 'null', 'nullable'].includes(type)) return;
+
+        if (type === 'object' && !isPlainObject(value)) {
+            throw new ValidationError(`${key}: Expected object, got ${describeValue(value)}`, {
+                path: key, expected: 'object', value, rule: 'type'
+            });
+        }
+
+        if (typeof type === 'string' && typeof value !== type) {
+            throw new ValidationError(`${key}: Expected ${type}, got ${typeof value}`, {
+                path: key, expected: type, value, rule: 'type'
+            });
+        }
+    }
+
+    #validate(opts, schema, path = '', context) {
+        if (schema._isArraySchema) {
+            this.#validateArrayTypes(opts._values, schema._values, context);
+            return opts;
+        }
+
+        // Check if all parameters are optional
+        const allOptional = this.#allOptional(schema);
+
+        // Allow undefined/null opts if all params are optional
+        if (!opts && allOptional) {
+            return opts;
+        }
+
+        // Add null/undefined check
+        if (!opts || typeof opts !== 'object') {
+            throw new ValidationError('Parameters must be provided as an object', {
+                expected: 'object', value: opts, rule: 'type'
+            });
+        }
+
+        // Check for extra parameters first
+        const policy = this.#unexpectedPolicy(schema, 'warn');
+        const stripped = [];
+        for (const key of Object?.keys(opts)) {
+            if (!schema.hasOwnProperty(key)) {
+                this.#unexpected(`Unexpected parameter: ${path}${key}`, `${path}${key}`, opts[key], policy, context);
+                if (policy === 'strip') stripped.push(key);
+            }
+        }
+
+        // Validate all required parameters exist and match types
+        let target = opts;
+        for (const [key, validator] of Object.entries(schema)) {
+            const value = opts[key];
+            try {
+                const result = this.#validateValue(value, validator, `${path}${key}`, context);
+                if (result !== value) {
+                    target = this.#copyOnWrite(target, opts);
+                    target[key] = result; // Store coerced value
+                }
+            } catch (e) {
+                this.#collect(context, e);
+            }
+        }
+        return this.#strip(target, opts, stripped);
+    }
+
+    #copyOnWrite(target, source) {
+        // Copy the caller's object before the first change, unless coercing in place
+        if (target !== source || (this.#options.mutate ?? ValidatedMethod.mutate)) return target;
+        return Array.isArray(source)
+            ? [...source]
+            : Object.assign(Object.create(Object.getPrototypeOf(source)), source);
+    }
+
+    #strip(target, source, keys) {
+        if (!keys?.length) return target;
+        target = this.#copyOnWrite(target, source);
+        for (const key of keys) delete target[key];
+        return target;
+    }
+
+    #allOptional(schema) {
+        return Object.values(schema).every(v => this.#isOptional(v));
+    }
+
+    #isOptional(validator) {
+        // Descriptors are optional when they declare a default
+        if (isDescriptor(validator)) {
+            return 'default' in validator || this.#isOptional(validator.type);
+        }
+        // Nested schemas are optional when all of their keys are
+        if (isPlainObject(validator)) {
+            return this.#allOptional(validator);
+        }
+        return validator === 'optional' || validator === 'undefined' ||
+            (Array.isArray(validator) &&
+                (validator.includes('optional') || validator.includes('undefined')));
+    }
+
+    #checkConstraints(value, descriptor, key) {
+        const { min, max, exclusiveMin, exclusiveMax, positive, multipleOf, finite, minLength, maxLength, pattern } = descriptor;
+        const type = typeName(descriptor.type);
+        const failed = (message, rule, received = value) => new ValidationError(
+            `${message}, got ${received} for ${key}`,
+            { path: key, expected: type, value, rule }
+        );
+
+        if (typeof value === 'number') {
+            const range = min !== undefined && max !== undefined
+                ? `between ${min} and ${max}`
+                : (min !== undefined ? `>= ${min}` : `<= ${max}`);
+            if (finite && !Number.isFinite(value)) throw failed(`Expected finite ${type}`, 'finite');
+            if (min !== undefined && value < min) throw failed(`Expected ${type} ${range}`, 'min');
+            if (max !== undefined && value > max) throw failed(`Expected ${type} ${range}`, 'max');
+            if (exclusiveMin !== undefined && !(value > exclusiveMin)) {
+                throw failed(`Expected ${type} > ${exclusiveMin}`, 'exclusiveMin');
+            }
+            if (exclusiveMax !== undefined && !(value < exclusiveMax)) {
+                throw failed(`Expected ${type} < ${exclusiveMax}`, 'exclusiveMax');
+            }
+            if (positive && !(value > 0)) throw failed(`Expected positive ${type}`, 'positive');
+            if (multipleOf !== undefined) {
+                // Allow for floating point error when dividing decimals
+                const quotient = value / multipleOf;
+                if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                    throw failed(`Expected ${type} multiple of ${multipleOf}`, 'multipleOf');
+                }
+            }
+        }
+
+        if (typeof value === 'string' || Array.isArray(value)) {
+            const range = minLength !== undefined && maxLength !== undefined
+                ? `between ${minLength} and ${maxLength}`
+                : (minLength !== undefined ? `>= ${minLength}` : `<= ${maxLength}`);
+            const received = `length ${value.length}`;
+            if (minLength !== undefined && value.length < minLength) {
+                throw failed(`Expected ${type} with length ${range}`, 'minLength', received);
+            }
+            if (maxLength !== undefined && value.length > maxLength) {
+                throw failed(`Expected ${type} with length ${range}`, 'maxLength', received);
+            }
+        }
+
+        // search() ignores lastIndex, so global and sticky patterns behave the same on every call
+        if (pattern !== undefined && typeof value === 'string' && value.search(pattern) === -1) {
+            throw failed(`Expected ${type} matching ${pattern}`, 'pattern', formatLiteral(value));
+        }
+    }
+
+    #validateValue(value, validator, key, context) {
+        // Fill defaults for missing values
+        if (isDescriptor(validator)) {
+            if (value === undefined && 'default' in validator) {
+                return copyDefault(validator.default);
+            }
+            const result = this.#validateValue(value, validator.type, key, context);
+            this.#checkConstraints(result, validator, key);
+
+            // Apply transforms after type coercion
+            return validator.transform && result !== undefined ? this.#transform(validator.transform, result, key) : result;
+        }
+
+        // Handle union validators
+        if (Array.isArray(validator)) {
+            // Filter out optional/undefined/nullable from type check
+            const types = validator.filter(v => !MODIFIERS.includes(v));
+
+            // Allow undefined if optional/undefined is in validators
+            if (value === undefined) {
+                if (this.#isOptional(validator)) return value;
+                throw new ValidationError(`Missing required parameter: ${key}`, {
+                    path: key, expected: typeName(types), value, rule: 'required'
+                });
+            }
+
+            // Allow null only if nullable is in validators
+            if (value === null && validator.includes('nullable')) {
+                return value;
+            }
+
+            // A single remaining type reports its own errors
+            if (types.length === 1) {
+                return this.#validateValue(value, types[0], key, context);
+            }
+
+            const failed = () => new ValidationError(
+                `Expected one of [${types.map(typeName)}], got ${describeValue(value)} for ${key}`,
+                { path: key, expected: typeName(types), value, rule: 'type' }
+            );
+            const match = this.#matchUnion(value, types,
+                (type, memberContext) => this.#validateValue(value, type, key, memberContext), context);
+            if (!match) throw failed();
+
+            // Wait for members with async validators
+            if (match.pending) {
+                context.pending.push(match.pending.catch(() => { throw failed(); }));
+                return value;
+            }
+            return match.value;
+        }
+
+        // Check optional first
+        if (validator === 'optional') {
+            return value;
+        }
+
+        // Handle nested schemas with the same rules as the top level
+        if (isPlainObject(validator)) {
+            if ((value === undefined || value === null) && this.#isOptional(validator)) {
+                return value;
+            }
+            if (value !== undefined && (value === null || typeof value !== 'object')) {
+                throw new ValidationError(`Expected object, got ${value === null ? 'null' : typeof value} for ${key}`, {
+                    path: key, expected: 'object', value, rule: 'type'
+                });
+            }
+        }
+
+        // Check for required parameters
+        if (value === undefined) {
+            throw new ValidationError(`Missing required parameter: ${key}`, {
+                path: key, expected: typeName(validator), value, rule: 'required'
+            });
+        }
+
+        // Type validation
+        if (isPlainObject(validator)) {
+            return this.#validate(value, validator, `${key}.`, context);
+        } else if (validator === 'any') {
+            return value;
+        } else if (this.#definitionOf(validator)) {
+            return this.#validateDefined(value, validator, key);
+        } else if (enumValuesOf(validator) !== undefined) {
+            if (!enumValuesOf(validator).includes(value)) {
+                const expected = enumValuesOf(validator).length ? `one of ${typeName(validator)}` : 'no value';
+                throw new ValidationError(`Expected ${expected}, got ${formatLiteral(value)} for ${key}`, {
+                    path: key, expected: typeName(validator), value, rule: 'enum'
+                });
+            }
+        } else if (validator === 'null' || validator === 'nullable') {
+            if (value !== null) {
+                throw new ValidationError(`Expected null, got ${typeof value} for ${key}`, {
+                    path: key, expected: 'null', value, rule: 'type'
+                });
+            }
+        } else if (elementTypeOf(validator) !== undefined) {
+            if (!Array.isArray(value)) { 
+                throw new ValidationError(`Expected Array, got ${typeof value} for ${key}`, {
+                    path: key, expected: typeName(validator), value, rule: 'type'
+                }); 
+            }
+            // Validate and coerce each element into a copy
+            const items = elementTypeOf(validator);
+            let target = value;
+            value.forEach((item, index) => {
+                try {
+                    const result = this.#validateValue(item, items, `${key}[${index}]`, context);
+                    if (result !== item) {
+                        target = this.#copyOnWrite(target, value);
+                        target[index] = result;
                     }
+                } catch (e) {
+                    this.#collect(context, e);
                 }
-                // Handle class constructor
-                if (!(value instanceof type)) {
-                    throw new TypeError(`Argument ${index}: Expected ${type.name}, got ${value?.constructor?.name || typeof value}`);
-                }
-                return;
+            });
+            return target;
+        } else if (validator === 'array') {
+            if (!Array.isArray(value)) { 
+                throw new ValidationError(`Expected Array, got ${typeof value} for ${key}`, {
+                    path: key, expected: typeName(validator), value, rule: 'type'
+                }); 
+            }
+        } else if (validator === 'object') {
+            // Only plain object literals, not arrays, null or class instances
+            if (!isPlainObject(value)) {
+                throw new ValidationError(`Expected object, got ${describeValue(value)} for ${key}`, {
+                    path: key, expected: 'object', value, rule: 'type'
+                });
+            }
+        } else if (typeof validator === 'function' && !validator.prototype) {
+            // Handle validator function
+            const failed = () => new ValidationError(`Value "${value}" failed validation for ${key}`, {
+                path: key, expected: 'custom validator', value, rule: 'validator'
+            });
+            // Report errors thrown by the validator as validation failures
+            const wrap = e => new ValidationError(`Validator failed for ${key}: ${e.message}`, {
+                path: key, expected: 'custom validator', value, rule: 'validator', cause: e
+            });
+            let result;
+            try {
+                result = validator(value);
+            } catch (e) {
+                throw wrap(e);
             }
 
-            if (['int', 'roundint', 'strictint'].includes(type)) {
-                values[index] = this.#validateInteger(value, `Argument ${index}`, type);
-                return;
+            // Defer async validators until all sync checks have run
+            if (result instanceof Promise) {
+                context.pending.push(result.then(
+                    valid => { if (!valid) throw failed(); },
+                    e => { throw wrap(e); }
+                ));
+            } else if (!result) {
+                throw failed();
+            }
+        } else if (typeof validator === 'function' && !(value instanceof validator)) {
+            throw new ValidationError(`Expected instance of ${validator.name}, got ${typeof value} for ${key}`, {
+                path: key, expected: validator.name, value, rule: 'instance'
+            });
+        } else if (validator === 'strictboolean') {
+            if (typeof value !== 'boolean') {
+                throw new ValidationError(`Expected boolean, got ${typeof value} for ${key}`, {
+                    path: key, expected: 'boolean', value, rule: 'type'
+                });
+            }
+        } else if (validator === 'boolean') {
+            const bool = this.#policy().boolean(value);
+            if (typeof bool !== 'boolean') {
+                throw new ValidationError(`Cannot convert ${describeValue(value)} to boolean for ${key}`, {
+                    path: key, expected: 'boolean', value, rule: 'coerce'
+                });
+            }
+            return bool;
+        } else if (validator === 'strictint' || validator === 'int' || validator === 'roundint') {
+            return this.#validateInteger(value, key, validator);
+        } else if (validator === 'strictfloat' || validator === 'float' || validator === 'number') {
+            return this.#validateNumber(value, key, validator === 'strictfloat');
+        } else if (typeof validator === 'string' && typeof value !== validator) {
+            throw new ValidationError(`Expected ${validator}, got ${typeof value} for ${key}`, {
+                path: key, expected: validator, value, rule: 'type'
+            });
+        } else if (validator instanceof RegExp) {
+            // Handle unconvertible values first
+            if (typeof value === 'symbol') {
+                throw new ValidationError(`Cannot convert Symbol to string for ${key}`, {
+                    path: key, expected: typeName(validator), value, rule: 'coerce'
+                });
             }
             
-            if (typeof type === 'string' && typeof value !== type) {
-                throw new TypeError(`Argument ${index}: Expected ${type}, got ${typeof value}`);
+            // Convert to string and test against regex
+            const str = String(value);
+            if (!validator.test(str)) {
+                throw new ValidationError(`Value "${str}" does not match pattern ${validator} for ${key}`, {
+                    path: key, expected: typeName(validator), value, rule: 'pattern'
+                });
             }
-        });
+            return str; // Return converted value
+        }
+        return value;
     }
 
-    #validate(opts, schema) {
-        if (schema._isArraySchema) {
-            this.#validateArrayTypes(opts._values, schema._values);
-            return true;
-        }
+    #definitionOf(type) {
+        // Built-in formats and value types share the shape of registered types
+        return ValidatedMethod.#types.get(type) ?? FORMATS.get(type) ?? VALUE_TYPES.get(type);
+    }
 
-        // Check if all parameters are optional
-        const allOptional = Object.values(schema).every(v => 
-            v === 'optional' || 
-            (Array.isArray(v) && v.includes('optional'))
+    #validateDefined(value, name, key) {
+        const { check, coerce, describe } = this.#definitionOf(name);
+        const failed = (rule, cause) => new ValidationError(
+            typeof describe === 'function'
+                ? `${describe(value)} for ${key}`
+                : `Expected ${describe}, got ${typeof value === 'string' ? formatLiteral(value) : describeValue(value)} for ${key}`,
+            { path: key, expected: name, value, rule, cause }
         );
 
-        // Allow undefined/null opts if all params are optional
-        if (!opts && allOptional) {
-            return true;
-        }
-
-        // Add null/undefined check
-        if (!opts || typeof opts !== 'object') {
-            throw new TypeError('Parameters must be provided as an object');
-        }
-
-        // Check for extra parameters first
-        for (const key of Object?.keys(opts)) {
-            if (!schema.hasOwnProperty(key)) {
-                if (ValidatedMethod.quiet) continue;
-                console.warn(`Unexpected parameter: ${key}`);
+        // Errors thrown by the definition are reported as failures
+        const passes = (candidate, rule) => {
+            try {
+                return check(candidate);
+            } catch (e) {
+                throw failed(rule, e);
             }
-        }
-
-        // Validate all required parameters exist and match types
-        for (const [key, validator] of Object.entries(schema)) {
-            const value = opts[key];
+        };
 
-            // Handle array-based validators
-            if (Array.isArray(validator)) {
-                // Allow undefined if optional/undefined is in validators
-                if (value === undefined && 
-                    (validator.includes('optional') || validator.includes('undefined'))) {
-                    continue;
-                }
-                
-                // Skip null values
-                if (value === null) continue;
-
-                // For non-undefined values, check against allowed types
-                // Filter out optional/undefined from type check
-                const types = validator.filter(v => v !== 'optional' && v !== 'undefined');
-                if (!types.includes(typeof value)) {
-                    throw new TypeError(`Expected one of [${types}], got ${typeof value} for ${key}`);
-                }
-                continue;
-            }
+        if (passes(value, 'type')) return value;
+        if (!coerce) throw failed('type');
 
-            // Check optional first
-            if (validator === 'optional') {
-                continue;
-            }
+        // Coerced values must still pass the check
+        let result;
+        try {
+            result = coerce(value);
+        } catch (e) {
+            throw failed('coerce', e);
+        }
+        if (!passes(result, 'coerce')) throw failed('coerce');
+        return result;
+    }
 
-            // Handle optional parameters (null allowed)
-            if (Array.isArray(validator)) {
-                if (value === null) continue;
-                if (!validator.includes(typeof value)) {
-                    throw new TypeError(`Expected one of [${validator}], got ${typeof value} for ${key}`);
-                }
-                continue;
-            }
+    #transform(transform, value, key) {
+        try {
+            return transform(value);
+        } catch (e) {
+            throw new ValidationError(`Transform failed for ${key}: ${e.message}`, {
+                path: key, value, rule: 'transform', cause: e
+            });
+        }
+    }
 
-            // Check for required parameters
-            if (value === undefined) {
-                throw new TypeError(`Missing required parameter: ${key}`);
+    #matchUnion(value, types, validateMember, context) {
+        // Try each member in order, preferring one that accepts the value unchanged
+        // over the first one that coerces it
+        let coerced;
+        const pending = [];
+        for (const type of types) {
+            const memberContext = { errors: null, pending: [], silent: context?.silent };
+            let result;
+            try {
+                result = validateMember(type, memberContext);
+            } catch (e) {
+                if (e instanceof ValidationError) continue;
+                throw e;
             }
-
-            // Type validation
-            if (validator === 'any') {
-                if (value === undefined) {
-                    throw new TypeError(`Parameter ${key} cannot be undefined, use 'optional' for that`);
-                }
-                continue;
-            } else if (validator === 'array') {
-                if (!Array.isArray(value)) { 
-                    throw new TypeError(`Expected Array, got ${typeof value} for ${key}`); 
-                }
-            } else if (typeof validator === 'function' && !validator.prototype) {
-                // Handle validator function
-                if (!validator(value)) {
-                    throw new TypeError(`Value "${value}" failed validation for ${key}`);
-                }
-            } else if (typeof validator === 'function' && !(value instanceof validator)) {
-                throw new TypeError(`Expected instance of ${validator.name}, got ${typeof value} for ${key}`);
-            } else if (validator === 'strictboolean') {
-                if (typeof value !== 'boolean') {
-                    throw new TypeError(`Expected boolean, got ${typeof value} for ${key}`);
-                }
-            } else if (validator === 'boolean') {
-                opts[key] = Boolean(value);  // Coerce to boolean
-            } else if (validator === 'strictint' || validator === 'int' || validator === 'roundint') {
-                opts[key] = this.#validateInteger(value, key, validator);
-            } else if (validator === 'strictfloat' || validator === 'float' || validator === 'number') {
-                opts[key] = this.#validateNumber(value, key, validator === 'strictfloat');
-            } else if (typeof validator === 'string' && typeof value !== validator) {
-                throw new TypeError(`Expected ${validator}, got ${typeof value} for ${key}`);
-            } else if (validator instanceof RegExp) {
-                // Handle unconvertible values first
-                if (typeof value === 'symbol') {
-                    throw new TypeError(`Cannot convert Symbol to string for ${key}`);
-                }
-                
-                // Convert to string and test against regex
-                const str = String(value);
-                if (!validator.test(str)) {
-                    throw new TypeError(`Value "${str}" does not match pattern ${validator} for ${key}`);
-                }
-                opts[key] = str; // Store converted value
+            if (memberContext.pending.length) {
+                // A later member may win synchronously, so a rejection here must not go unhandled
+                const member = Promise.all(memberContext.pending).then(() => result);
+                member.catch(() => {});
+                pending.push(member);
+            } else if (result === value) {
+                return { value };
+            } else {
+                coerced ??= { value: result };
             }
         }
-        return true;
+        if (coerced) return coerced;
+
+        // Resolve with the first member whose async validators pass
+        return pending.length ? { pending: Promise.any(pending) } : null;
     }
 
     #validateReturn(value, type) {
         if (Array.isArray(type)) {
             // Handle array of allowed types
-            const types = type.filter(t => t !== 'optional' && t !== 'undefined');
-            if (value === undefined && type.includes('optional')) return;
-            if (value === null && type.includes('null')) return;
-            if (!types.some(t => this.#checkType(value, t))) {
-                throw new TypeError(`Return value ${value} does not match any of [${types}]`);
+            const types = type.filter(t => !MODIFIERS.includes(t));
+            if (value === undefined && this.#isOptional(type)) return;
+            if (value === null && type.includes('nullable')) return;
+            const failed = () => new ValidationError(`Return value ${value} does not match any of [${types.map(typeName)}]`, {
+                path: 'return', expected: typeName(types), value, rule: 'type', phase: 'return'
+            });
+
+            const match = this.#matchUnion(value, types, (t, memberContext) => {
+                const matched = this.#checkType(value, t);
+                if (matched instanceof Promise) {
+                    memberContext.pending.push(matched.then(valid => { if (!valid) throw failed(); }));
+                } else if (!matched) {
+                    throw failed();
+                }
+                return value;
+            });
+            if (!match) throw failed();
+
+            // Wait for members with async validators
+            if (match.pending) {
+                return match.pending.then(() => {}, () => { throw failed(); });
             }
         } else {
+            // Report the first failing element of a typed array
+            const items = elementTypeOf(type);
+            if (items !== undefined && Array.isArray(value)) {
+                const index = value.findIndex(item => !this.#checkType(item, items));
+                if (index !== -1) {
+                    throw new ValidationError(`Return value[${index}] ${value[index]} does not match type ${typeName(items)}`, {
+                        path: `return[${index}]`, expected: typeName(items), value: value[index],
+                        rule: 'type', phase: 'return'
+                    });
+                }
+            }
+
             // Handle single type
-            if (!this.#checkType(value, type)) {
-                const typeName = typeof type === 'function' && !type.prototype 
-                    ? 'custom validator'
-                    : (typeof type === 'function' ? type.name : type);
-                throw new TypeError(`Return value ${value} does not match type ${typeName}`);
+            const failed = () => new ValidationError(`Return value ${value} does not match type ${typeName(type)}`, {
+                path: 'return', expected: typeName(type), value, rule: 'type', phase: 'return'
+            });
+            const match = this.#checkType(value, type);
+            if (match instanceof Promise) {
+                return match.then(valid => { if (!valid) throw failed(); });
             }
+            if (!match) throw failed();
         }
     }
 
     #checkType(value, type) {
+        // Check descriptor types along with their constraints
+        if (isDescriptor(type)) {
+            const withinConstraints = () => {
+                try {
+                    this.#checkConstraints(value, type, 'return');
+                    return true;
+                } catch {
+                    return false;
+                }
+            };
+            const match = this.#checkType(value, type.type);
+            if (match instanceof Promise) {
+                return match.then(valid => valid && withinConstraints());
+            }
+            return match && withinConstraints();
+        }
+
         // Add custom validator function support
         if (typeof type === 'function' && !type.prototype) {
+            const wrap = e => new ValidationError(`Custom validator failed: ${e.message}`, {
+                path: 'return', expected: 'custom validator', value, rule: 'validator',
+                phase: 'return', cause: e
+            });
+            let result;
             try {
-                return type(value) === true;
+                result = type(value);
             } catch (e) {
-                throw new TypeError(`Custom validator failed: ${e.message}`);
+                throw wrap(e);
+            }
+            // Async validators resolve to the same strict comparison
+            if (result instanceof Promise) {
+                return result.then(valid => valid === true, e => { throw wrap(e); });
             }
+            return result === true;
         }
         
         // Handle class constructors
@@ -340,10 +1367,31 @@ export class ValidatedMethod {
             return true;
         }
 
+        if (type === 'null' || type === 'nullable') return value === null;
+        if (type === 'object') return isPlainObject(value);
+
+        if (this.#definitionOf(type)) {
+            try {
+                return !!this.#definitionOf(type).check(value);
+            } catch {
+                return false;
+            }
+        }
+
+        if (enumValuesOf(type) !== undefined) return enumValuesOf(type).includes(value);
+        if (elementTypeOf(type) !== undefined) {
+            const items = elementTypeOf(type);
+            if (!Array.isArray(value)) return false;
+            const matches = value.map(item => this.#checkType(item, items));
+            if (matches.some(match => match instanceof Promise)) {
+                return Promise.all(matches).then(results => results.every(Boolean));
+            }
+            return matches.every(Boolean);
+        }
         if (type === 'array') return Array.isArray(value);
         if (typeof type === 'function') return value instanceof type;
         if (type === 'strictboolean') return typeof value === 'boolean';
-        if (type === 'boolean') return typeof value === 'boolean' || [0,1,'true','false'].includes(value);
+        if (type === 'boolean') return !!this.#policy().isBoolean(value);
         if (['int', 'roundint', 'strictint'].includes(type)) {
             try {
                 this.#validateInteger(value, 'return', type);
@@ -371,6 +1419,707 @@ export class ValidatedMethod {
     }
 }
 
-export function _$(a, c, r) {
-    return new ValidatedMethod(a, c, r);
+export class ValidationError extends TypeError {
+    #errors;
+
+    constructor(message, { path = '', expected, received, value, rule, phase = 'params', cause, errors } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.#errors = errors;
+        this.name = 'ValidationError';
+        this.path = path;
+        this.expected = expected;
+        this.received = received ?? describeValue(value);
+        this.value = value;
+        this.rule = rule;
+        this.phase = phase;
+    }
+
+    // Every failure this error reports, itself included when it is not an aggregate
+    get errors() {
+        return this.#errors ?? [this];
+    }
+}
+
+class OneOf {
+    constructor(values) {
+        this.values = Object.freeze(values);
+    }
+
+    toString() {
+        return this.values.length ? this.values.map(formatLiteral).join(' | ') : 'never';
+    }
+}
+
+class ArrayOf {
+    constructor(items) {
+        this.items = items;
+    }
+
+    toString() {
+        return `array<${typeName(this.items)}>`;
+    }
+}
+
+// Validation keywords fromJSONSchema() can't honour
+const JSON_SCHEMA_UNSUPPORTED = [
+    '$ref', '$dynamicRef', 'allOf', 'not', 'if', 'then', 'else', 'uniqueItems', 'contains',
+    'minContains', 'maxContains', 'minProperties', 'maxProperties', 'patternProperties',
+    'propertyNames', 'dependentRequired', 'dependentSchemas', 'unevaluatedItems', 'unevaluatedProperties'
+];
+
+const JSON_SCHEMA_IMPORTS = {
+    string: 'string', number: 'strictfloat', integer: 'strictint',
+    boolean: 'strictboolean', null: 'null', object: 'object', array: 'array'
+};
+
+function typeFromJSONSchema(schema) {
+    if (schema === true || schema === undefined) return 'any';
+    // The false schema matches nothing
+    if (schema === false) return new OneOf([]);
+
+    // Refuse keywords that would make the imported type looser than the contract
+    const unsupported = JSON_SCHEMA_UNSUPPORTED.find(keyword => keyword in schema);
+    if (unsupported) {
+        throw new TypeError(`Unsupported JSON Schema keyword '${unsupported}'`);
+    }
+    if (schema.format !== undefined &&
+        !Object.values(JSON_SCHEMA_FORMATS).some(({ format }) => format === schema.format)) {
+        throw new TypeError(`Unsupported JSON Schema format '${schema.format}'`);
+    }
+
+    // Collect constraints that map onto descriptor keys
+    const descriptor = {};
+    if (schema.minimum !== undefined) descriptor.min = schema.minimum;
+    if (schema.maximum !== undefined) descriptor.max = schema.maximum;
+    if (schema.exclusiveMinimum === 0) {
+        descriptor.positive = true;
+    } else if (schema.exclusiveMinimum !== undefined) {
+        descriptor.exclusiveMin = schema.exclusiveMinimum;
+    }
+    if (schema.exclusiveMaximum !== undefined) descriptor.exclusiveMax = schema.exclusiveMaximum;
+    if (schema.multipleOf !== undefined) descriptor.multipleOf = schema.multipleOf;
+    if (schema.minLength !== undefined) descriptor.minLength = schema.minLength;
+    if (schema.maxLength !== undefined) descriptor.maxLength = schema.maxLength;
+    if (schema.minItems !== undefined) descriptor.minLength = schema.minItems;
+    if (schema.maxItems !== undefined) descriptor.maxLength = schema.maxItems;
+    if ('default' in schema) descriptor.default = schema.default;
+
+    // Patterns are checked on top of the type and format, unless they are the hex format
+    const type = baseTypeFromJSONSchema(schema);
+    if (schema.pattern !== undefined && type !== 'hex') {
+        // Flags are only kept by our own exports, in a comment
+        const flags = schema.$comment?.match(/^pattern flags: (\w+)$/)?.[1];
+        descriptor.pattern = new RegExp(schema.pattern, flags);
+    }
+    if (!Object.keys(descriptor).length) return type;
+    return { ...descriptor, type };
+}
+
+function baseTypeFromJSONSchema(schema) {
+    if (schema.enum) return new OneOf([...schema.enum]);
+    if ('const' in schema) return new OneOf([schema.const]);
+    if (schema.oneOf || schema.anyOf) {
+        return (schema.oneOf ?? schema.anyOf).map(typeFromJSONSchema);
+    }
+    if (Array.isArray(schema.type)) {
+        return schema.type.map(type => baseTypeFromJSONSchema({ ...schema, type }));
+    }
+    if (schema.type === 'object' || schema.properties) {
+        if (!schema.properties) return 'object';
+        const properties = propertiesFromJSONSchema(schema);
+
+        // Keep objects that look like a descriptor as object schemas
+        NESTED_SCHEMAS.add(properties);
+        return properties;
+    }
+    if (schema.type === 'array' || schema.items || schema.prefixItems) {
+        if (schema.items && schema.items !== true) {
+            return new ArrayOf(typeFromJSONSchema(schema.items));
+        }
+        return 'array';
+    }
+    if (schema.type === 'string') {
+        const name = Object.keys(JSON_SCHEMA_FORMATS).find(name => {
+            const { format, contentEncoding, pattern } = JSON_SCHEMA_FORMATS[name];
+            if (format) return format === schema.format;
+            if (pattern) return schema.format === undefined && pattern === schema.pattern;
+            return contentEncoding === schema.contentEncoding;
+        });
+        if (name) return name;
+    }
+    return JSON_SCHEMA_IMPORTS[schema.type] ?? 'any';
+}
+
+function propertiesFromJSONSchema(schema) {
+    if (isPlainObject(schema.additionalProperties)) {
+        throw new TypeError(`Unsupported JSON Schema keyword 'additionalProperties'`);
+    }
+    const required = schema.required ?? [];
+    const properties = {};
+    for (const [key, property] of Object.entries(schema.properties)) {
+        const type = typeFromJSONSchema(property);
+        properties[key] = required.includes(key) ? type : optionalType(type);
+    }
+    // Objects closed to extra keys throw on unexpected params
+    if (schema.additionalProperties === false) STRICT_SCHEMAS.add(properties);
+    return properties;
+}
+
+function optionalType(type) {
+    if (Array.isArray(type)) {
+        return type.includes('optional') ? type : [...type, 'optional'];
+    }
+    if (isDescriptor(type)) {
+        return 'default' in type ? type : { ...type, type: optionalType(type.type) };
+    }
+    return [type, 'optional'];
+}
+
+function elementTypeOf(type) {
+    if (type instanceof ArrayOf) return type.items;
+    if (typeof type === 'string') return type.match(/^array<(.+)>$/)?.[1];
+}
+
+function enumValuesOf(type) {
+    if (type instanceof OneOf) return type.values;
+    if (type instanceof Set) return [...type];
+}
+
+function formatLiteral(value) {
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function typeName(type) {
+    if (typeof type === 'function') {
+        return type.prototype ? type.name : 'custom validator';
+    }
+    if (Array.isArray(type)) return `[${type.map(typeName)}]`;
+    if (isDescriptor(type)) return typeName(type.type);
+    if (type instanceof Set) return typeName(new OneOf([...type]));
+    if (isPlainObject(type)) return 'object';
+    return String(type);
+}
+
+function describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'object') return value.constructor?.name ?? 'object';
+    return typeof value;
+}
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+
+function isIPv6(value) {
+    const halves = value.split('::');
+    if (halves.length > 2) return false;
+    const groups = halves.map(half => half ? half.split(':') : []);
+
+    // A trailing IPv4 address counts as two groups
+    let count = 0;
+    if (groups.at(-1).at(-1)?.includes('.')) {
+        if (!IPV4.test(groups.at(-1).pop())) return false;
+        count = 2;
+    }
+    const parts = groups.flat();
+    if (!parts.every(part => /^[0-9a-f]{1,4}$/i.test(part))) return false;
+    count += parts.length;
+
+    // A :: compresses at least one group
+    return halves.length === 2 ? count < 8 : count === 8;
+}
+
+function isCalendarDate(year, month, day) {
+    // setUTCFullYear keeps years below 100 as written
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    return date.getUTCFullYear() === Number(year) &&
+        date.getUTCMonth() === month - 1 && date.getUTCDate() === Number(day);
+}
+
+function isISODate(value) {
+    const [, year, month, day] = value.match(/^(\d{4})-(\d{2})-(\d{2})$/) ?? [];
+    return year !== undefined && isCalendarDate(year, month, day);
+}
+
+function isDateTime(value) {
+    const match = value.match(
+        /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-](\d{2}):(\d{2}))$/i
+    );
+    if (!match) return false;
+    const [, year, month, day, hour, minute, second, , , offsetHour = 0, offsetMinute = 0] = match;
+    return isCalendarDate(year, month, day) && hour < 24 && minute < 60 && second <= 60 &&
+        offsetHour < 24 && offsetMinute < 60;
+}
+
+function isURL(value) {
+    // Only hierarchical URLs with a host, so 'a:b' and 'javascript:' URLs are rejected
+    try {
+        const url = new URL(value);
+        return url.host !== '' && value.toLowerCase().startsWith(`${url.protocol}//`);
+    } catch {
+        return false;
+    }
+}
+
+// Built-in string formats, checked without coercion
+const FORMATS = new Map(Object.entries({
+    uuid: { check: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, describe: 'UUID' },
+    email: {
+        check: /^[\w.!#$%&'*+/=?^`{|}~-]+@[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?(?:\.[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?)+$/i,
+        describe: 'email address'
+    },
+    url: { check: isURL, describe: 'URL' },
+    isodate: { check: isISODate, describe: 'ISO date' },
+    datetime: { check: isDateTime, describe: 'ISO date-time' },
+    ipv4: { check: IPV4, describe: 'IPv4 address' },
+    ipv6: { check: isIPv6, describe: 'IPv6 address' },
+    hex: { check: /^[0-9a-f]+$/i, describe: 'hex string' },
+    base64: {
+        check: /^(?!$)(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/,
+        describe: 'base64 string'
+    }
+}).map(([name, { check, describe }]) => [name, {
+    check: value => typeof value === 'string' &&
+        (check instanceof RegExp ? check.test(value) : check(value)),
+    describe
+}]));
+
+// Built-in types for values that typeof can't tell apart
+const VALUE_TYPES = new Map(Object.entries({
+    date: {
+        check: value => value instanceof Date && !isNaN(value),
+        coerce: value => {
+            if (typeof value === 'string' && (isISODate(value) || isDateTime(value))) return new Date(value);
+            return Number.isFinite(value) ? new Date(value) : value;
+        },
+        describe: 'date'
+    },
+    bigint: {
+        check: value => typeof value === 'bigint',
+        coerce: value => {
+            if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) return BigInt(value.trim());
+            return Number.isInteger(value) ? BigInt(value) : value;
+        },
+        describe: 'bigint'
+    },
+    symbol: { check: value => typeof value === 'symbol', describe: 'symbol' },
+    map: {
+        check: value => value instanceof Map,
+        coerce: value => isPlainObject(value) ? new Map(Object.entries(value)) : value,
+        describe: 'Map'
+    },
+    set: {
+        check: value => value instanceof Set,
+        coerce: value => Array.isArray(value) ? new Set(value) : value,
+        describe: 'Set'
+    },
+    bytes: {
+        check: value => value instanceof Uint8Array,
+        coerce: value => {
+            if (value instanceof ArrayBuffer) return new Uint8Array(value);
+            if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            return value;
+        },
+        describe: 'Uint8Array'
+    }
+}));
+
+// Values these identifiers accept unchanged, letting compiled schemas skip the full check
+const FAST_CHECKS = new Map(Object.entries({
+    optional: () => true,
+    any: value => value !== undefined,
+    string: value => typeof value === 'string',
+    function: value => typeof value === 'function',
+    boolean: value => typeof value === 'boolean',
+    strictboolean: value => typeof value === 'boolean',
+    int: Number.isInteger,
+    roundint: Number.isInteger,
+    strictint: Number.isInteger,
+    number: value => typeof value === 'number' && !Number.isNaN(value),
+    float: value => typeof value === 'number' && !Number.isNaN(value),
+    strictfloat: value => typeof value === 'number' && !Number.isNaN(value),
+    null: value => value === null,
+    object: isPlainObject,
+    array: Array.isArray
+}));
+
+// The same checks as source, for inlining into generated code
+const FAST_SOURCES = new Map(Object.entries({
+    optional: 'true',
+    any: 'v !== undefined',
+    string: "typeof v === 'string'",
+    function: "typeof v === 'function'",
+    boolean: "typeof v === 'boolean'",
+    strictboolean: "typeof v === 'boolean'",
+    int: 'Number.isInteger(v)',
+    roundint: 'Number.isInteger(v)',
+    strictint: 'Number.isInteger(v)',
+    number: "typeof v === 'number' && v === v",
+    float: "typeof v === 'number' && v === v",
+    strictfloat: "typeof v === 'number' && v === v",
+    null: 'v === null',
+    array: 'Array.isArray(v)'
+}));
+
+function fastSource(type) {
+    if (Array.isArray(type)) {
+        const sources = type.filter(t => !MODIFIERS.includes(t)).map(fastSource);
+        if (!sources.length || sources.includes(undefined)) return undefined;
+        if (type.includes('optional') || type.includes('undefined')) sources.push('v === undefined');
+        if (type.includes('nullable')) sources.push('v === null');
+        return sources.map(source => `(${source})`).join(' || ');
+    }
+    return FAST_SOURCES.get(type);
+}
+
+let canGenerate = true;
+
+function generateEntries(schema, entries, collect, copy) {
+    if (!canGenerate) return null;
+
+    // Values passing an inlined check skip the call to the compiled check
+    const body = entries.map(([key], index) => {
+        const name = JSON.stringify(key);
+        const check = `try {
+                const result = checks[${index}](v, path + ${name}, context);
+                if (result !== v) (t = copy(t, opts))[${name}] = result;
+            } catch (e) {
+                collect(context, e);
+            }`;
+        const source = fastSource(schema[key]);
+        return `v = opts[${name}];\n            ${source ? `if (!(${source})) ${check.replace('try', '{ try')} }` : check}`;
+    }).join('\n            ');
+
+    try {
+        return new Function('checks', 'collect', 'copy', `return function (opts, path, context) {
+            let v, t = opts;
+            ${body}
+            return t;
+        };`)(entries.map(([, check]) => check), collect, copy);
+    } catch (e) {
+        // Content Security Policies without 'unsafe-eval' block new Function
+        if (!(e instanceof EvalError)) throw e;
+        canGenerate = false;
+        return null;
+    }
+}
+
+// Union members that modify the other members rather than matching on their own
+const MODIFIERS = ['optional', 'undefined', 'nullable'];
+
+const BUILT_IN_TYPES = [
+    'string', 'number', 'float', 'strictfloat', 'int', 'roundint', 'strictint',
+    'boolean', 'strictboolean', 'any', 'optional', 'undefined', 'void', 'null', 'nullable',
+    'object', 'array', 'function', ...FORMATS.keys(), ...VALUE_TYPES.keys()
+];
+
+const CONSTRAINT_KEYS = [
+    'min', 'max', 'exclusiveMin', 'exclusiveMax', 'positive', 'multipleOf', 'finite', 'minLength', 'maxLength', 'pattern'
+];
+const DESCRIPTOR_KEYS = ['type', 'default', 'transform', ...CONSTRAINT_KEYS];
+
+function describeObject(schema, unexpected) {
+    const properties = {};
+    for (const [key, type] of Object.entries(schema)) {
+        properties[key] = describeType(type, unexpected);
+    }
+    const optional = Object.values(properties).every(p => p.optional) ? { optional: true } : {};
+    return { type: 'object', properties, unexpected: STRICT_SCHEMAS.has(schema) ? 'throw' : unexpected, ...optional };
+}
+
+function describeType(type, unexpected) {
+    if (isDescriptor(type)) {
+        const node = describeType(type.type, unexpected);
+        for (const key of CONSTRAINT_KEYS) {
+            if (type[key] !== undefined) node[key] = type[key];
+        }
+        if (type.pattern instanceof RegExp) {
+            node.pattern = type.pattern.source;
+            if (type.pattern.flags) node.flags = type.pattern.flags;
+        }
+        if ('default' in type) {
+            node.default = type.default;
+            node.optional = true;
+        }
+        return node;
+    }
+    if (Array.isArray(type)) {
+        const types = type.filter(t => !MODIFIERS.includes(t));
+        const optional = type.includes('optional') || type.includes('undefined') ? { optional: true } : {};
+        const nullable = type.includes('nullable') ? { nullable: true } : {};
+        if (types.length === 0) return { type: 'any', ...optional, ...nullable };
+        if (types.length === 1) return { ...describeType(types[0], unexpected), ...optional, ...nullable };
+        return { type: 'union', anyOf: types.map(t => describeType(t, unexpected)), ...optional, ...nullable };
+    }
+    if (isPlainObject(type)) {
+        return describeObject(type, unexpected);
+    }
+    if (type === 'optional' || type === 'undefined') {
+        return { type: 'any', optional: true };
+    }
+    if (elementTypeOf(type) !== undefined) {
+        return { type: 'array', items: describeType(elementTypeOf(type), unexpected) };
+    }
+    if (enumValuesOf(type) !== undefined) {
+        return { type: 'enum', values: [...enumValuesOf(type)] };
+    }
+    if (type instanceof RegExp) {
+        return { type: 'pattern', pattern: type.source, flags: type.flags };
+    }
+    if (typeof type === 'function') {
+        return type.prototype
+            ? { type: 'instance', class: type.name }
+            : { type: 'validator', name: type.name };
+    }
+    return { type };
+}
+
+const JSON_SCHEMA_TYPES = {
+    string: 'string',
+    number: 'number', float: 'number', strictfloat: 'number',
+    int: 'integer', roundint: 'integer', strictint: 'integer',
+    boolean: 'boolean', strictboolean: 'boolean',
+    null: 'null', object: 'object', array: 'array'
+};
+
+const JSON_SCHEMA_FORMATS = {
+    uuid: { format: 'uuid' }, email: { format: 'email' }, url: { format: 'uri' },
+    isodate: { format: 'date' }, datetime: { format: 'date-time' },
+    ipv4: { format: 'ipv4' }, ipv6: { format: 'ipv6' },
+    hex: { pattern: '^[0-9a-fA-F]+$' }, base64: { contentEncoding: 'base64' }
+};
+
+function jsonSchemaOf(node) {
+    let schema;
+    if (node.type === 'object') {
+        const properties = {};
+        const required = [];
+        for (const [key, property] of Object.entries(node.properties)) {
+            properties[key] = jsonSchemaOf(property);
+            if (!property.optional) required.push(key);
+        }
+        schema = { type: 'object', properties };
+        if (required.length) schema.required = required;
+        if (node.unexpected === 'throw') schema.additionalProperties = false;
+    } else if (node.type === 'tuple') {
+        schema = {
+            type: 'array',
+            prefixItems: node.items.map(jsonSchemaOf),
+            minItems: node.items.findLastIndex(item => !item.optional) + 1
+        };
+        if (node.unexpected === 'throw') schema.items = false;
+    } else if (node.type === 'array' && node.items) {
+        schema = { type: 'array', items: jsonSchemaOf(node.items) };
+    } else if (node.type === 'union') {
+        schema = { anyOf: node.anyOf.map(jsonSchemaOf) };
+    } else if (node.type === 'enum') {
+        schema = { enum: node.values };
+    } else if (node.type === 'pattern') {
+        schema = { type: 'string', pattern: node.pattern };
+        if (node.flags) schema.$comment = `pattern flags: ${node.flags}`;
+    } else if (node.type === 'any') {
+        schema = {};
+    } else if (Object.hasOwn(JSON_SCHEMA_FORMATS, node.type)) {
+        schema = { type: 'string', ...JSON_SCHEMA_FORMATS[node.type] };
+    } else if (JSON_SCHEMA_TYPES[node.type]) {
+        schema = { type: JSON_SCHEMA_TYPES[node.type] };
+    } else {
+        // Types without a JSON equivalent are kept as a comment
+        const name = node.type === 'instance' ? `instance of ${node.class}`
+            : (node.type === 'validator' ? 'custom validator' : node.type);
+        schema = { $comment: name };
+    }
+
+    // Map constraints to their JSON Schema keywords
+    const isArray = schema.type === 'array';
+    if (node.min !== undefined) schema.minimum = node.min;
+    if (node.max !== undefined) schema.maximum = node.max;
+    if (node.exclusiveMin !== undefined) schema.exclusiveMinimum = node.exclusiveMin;
+    if (node.exclusiveMax !== undefined) schema.exclusiveMaximum = node.exclusiveMax;
+    if (node.positive) schema.exclusiveMinimum = Math.max(schema.exclusiveMinimum ?? 0, 0);
+    if (node.multipleOf !== undefined) schema.multipleOf = node.multipleOf;
+    if (node.minLength !== undefined) schema[isArray ? 'minItems' : 'minLength'] = node.minLength;
+    if (node.maxLength !== undefined) schema[isArray ? 'maxItems' : 'maxLength'] = node.maxLength;
+    if (node.pattern !== undefined) schema.pattern = node.pattern;
+    if (node.flags && !schema.$comment) schema.$comment = `pattern flags: ${node.flags}`;
+    if ('default' in node) schema.default = node.default;
+    return node.nullable ? { anyOf: [schema, { type: 'null' }] } : schema;
+}
+
+
+const HOOKS = ['onValidationError', 'onUnexpectedParameter', 'onReturnMismatch', 'beforeCall', 'afterCall'];
+
+const MODES = ['full', 'params-only', 'off', 'sample'];
+
+function checkMode(mode) {
+    if (!MODES.includes(mode)) {
+        throw new TypeError(`Mode must be 'full', 'params-only', 'off' or 'sample'`);
+    }
+    return mode;
+}
+
+function checkSampleRate(rate) {
+    if (!Number.isInteger(rate) || rate < 1) {
+        throw new TypeError('Sample rate must be a positive integer');
+    }
+    return rate;
+}
+
+function checkCompile(compile) {
+    if (![true, false, 'safe'].includes(compile)) {
+        throw new TypeError(`Compile must be true, false or 'safe'`);
+    }
+    return compile;
+}
+
+// Coercion policies turn a raw value into a number or boolean, returning
+// undefined when it can't be converted. Real numbers and booleans must come
+// back unchanged so compiled fast paths agree with the interpreter; custom
+// policies make no such promise and are always interpreted.
+const NUMERIC = /^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i;
+const FORM_BOOLEANS = new Map([
+    ['true', true], ['1', true], ['on', true], ['yes', true],
+    ['false', false], ['0', false], ['off', false], ['no', false], ['', false]
+]);
+
+const COERCIONS = {
+    lenient: {
+        number: value => parseFloat(value),
+        int: Math.floor,
+        boolean: value => Boolean(value),
+        // Boolean() takes anything, so returns are held to the boolean-like values
+        isBoolean: value => typeof value === 'boolean' || [0, 1, 'true', 'false'].includes(value)
+    },
+    strict: {
+        number: value => typeof value === 'number' ? value : undefined,
+        int: num => Number.isInteger(num) ? num : undefined,
+        boolean: value => typeof value === 'boolean' ? value : undefined,
+        isBoolean: value => typeof value === 'boolean'
+    },
+    form: {
+        number: value => typeof value === 'number' ? value :
+            typeof value === 'string' && NUMERIC.test(value) ? Number(value) : undefined,
+        int: num => Number.isInteger(num) ? num : undefined,
+        boolean: value => {
+            if (typeof value === 'boolean') return value;
+            if (value === 0 || value === 1) return value === 1;
+            if (typeof value === 'string') return FORM_BOOLEANS.get(value.trim().toLowerCase());
+        },
+        isBoolean: value => COERCIONS.form.boolean(value) !== undefined
+    }
+};
+
+const COERCION_NAMES = ['number', 'int', 'boolean', 'isBoolean'];
+
+function checkCoercion(policy) {
+    if (typeof policy === 'string') {
+        if (!Object.hasOwn(COERCIONS, policy)) {
+            throw new TypeError(`Coercion must be 'lenient', 'strict', 'form' or a policy object`);
+        }
+        return policy;
+    }
+    if (!isPlainObject(policy)) {
+        throw new TypeError(`Coercion must be 'lenient', 'strict', 'form' or a policy object`);
+    }
+    for (const [name, fn] of Object.entries(policy)) {
+        if (!COERCION_NAMES.includes(name)) {
+            throw new TypeError(`Unknown coercion '${name}', expected ${COERCION_NAMES.join(', ')}`);
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError(`Coercion '${name}' must be a function`);
+        }
+    }
+    return policy;
+}
+
+function checkHooks(hooks) {
+    if (!isPlainObject(hooks)) {
+        throw new TypeError('Hooks must be an object');
+    }
+    for (const [hook, fn] of Object.entries(hooks)) {
+        if (!HOOKS.includes(hook)) {
+            throw new TypeError(`Unknown hook '${hook}', expected one of ${HOOKS.join(', ')}`);
+        }
+        if (fn !== undefined && typeof fn !== 'function') {
+            throw new TypeError(`Hook '${hook}' must be a function`);
+        }
+    }
+    return hooks;
+}
+
+// Fresh array and object defaults for each call, so callbacks can't change the shared one
+function copyDefault(value) {
+    if (Array.isArray(value)) return value.map(copyDefault);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyDefault(item)]));
+    }
+    return value;
+}
+
+// Object schemas that must not be read as descriptors
+const NESTED_SCHEMAS = new WeakSet();
+
+// Imported schemas that reject unexpected params
+const STRICT_SCHEMAS = new WeakSet();
+
+function isDescriptor(value) {
+    if (!isPlainObject(value) || NESTED_SCHEMAS.has(value) || !Object.hasOwn(value, 'type') ||
+        !Object.keys(value).every(key => DESCRIPTOR_KEYS.includes(key))) {
+        return false;
+    }
+    // A plain object as a descriptor's type is always an object schema
+    if (isPlainObject(value.type)) NESTED_SCHEMAS.add(value.type);
+    return true;
+}
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+export function _$(a, c, r, o) {
+    return new ValidatedMethod(a, c, r, o);
+}
+
+export function validated(args, returnType, options) {
+    return (method, context) => {
+        if (context?.kind !== 'method') {
+            throw new TypeError('@validated can only decorate methods');
+        }
+        return new ValidatedMethod(args, method, returnType, options);
+    };
+}
+
+export function arrayOf(type) {
+    return new ArrayOf(type);
+}
+
+export function oneOf(...values) {
+    return new OneOf(values);
+}
+
+export function fromJSONSchema(schema) {
+    // Tuples become positional parameters, items past minItems are optional
+    if (schema.prefixItems) {
+        const types = schema.prefixItems.map((item, index) => {
+            const type = typeFromJSONSchema(item);
+            return index < (schema.minItems ?? 0) ? type : optionalType(type);
+        });
+        // Tuples closed to extra items throw on surplus arguments
+        if (schema.items === false) STRICT_SCHEMAS.add(types);
+        return types;
+    }
+    // Objects become named parameters
+    if (schema.properties) {
+        return propertiesFromJSONSchema(schema);
+    }
+    return typeFromJSONSchema(schema);
+}
+
+export function toJSONSchema(node) {
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        ...jsonSchemaOf(node)
+    };
 }
\ No newline at end of file